@@ -3,7 +3,18 @@
  * Handles alarms, messaging, and badge updates
  */
 
+import './lib/order-engine.js';
+
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+const {
+  getExecutedOrders,
+  calculateTotalSpent,
+  calculatePortfolioStats,
+  getRefreshStrategy,
+  EXECUTOR_LEASE_TTL_MS: LEASE_TTL_MS
+} = globalThis.XCHOrderEngine;
+
+const DCA_ALARM_PREFIX = 'xch-dca-';
 
 // ============================================
 // ALARM MANAGEMENT
@@ -22,36 +33,111 @@ browserAPI.alarms.onAlarm.addListener(async (alarm) => {
       return;
     }
 
-    // Find vault.chia.net tab and reload it
-    const tabs = await browserAPI.tabs.query({
-      url: 'https://vault.chia.net/buy-xch*'
-    });
+    await refreshVaultTab();
+  } else if (alarm.name.startsWith(DCA_ALARM_PREFIX)) {
+    console.log('[Background] DCA alarm triggered:', alarm.name);
+
+    // The content script runs due schedules on load; a busy or stopped tab
+    // picks the run up later within its grace window or records it as skipped
+    if (!(await isRunning())) {
+      console.log('[Background] Monitoring stopped, DCA run will be skipped');
+      return;
+    }
+    if (await isProcessing()) {
+      console.log('[Background] Buy process in progress, DCA run will wait for next check');
+      return;
+    }
 
-    if (tabs.length > 0) {
-      const tabUrl = tabs[0].url;
-      console.log('[Background] Closing and reopening tab:', tabs[0].id);
+    await refreshVaultTab();
+  }
+});
 
-      // Close existing tab
-      await browserAPI.tabs.remove(tabs[0].id);
+/**
+ * Refresh the executor vault tab so the content script checks price and due DCA runs,
+ * the way the refresh strategy setting asks for
+ */
+async function refreshVaultTab() {
+  const tab = await getExecutorTab();
+  if (!tab) {
+    console.log('[Background] No vault.chia.net tab found');
+    return;
+  }
 
-      // Open new tab with same URL (focused)
-      await browserAPI.tabs.create({ url: tabUrl, active: true });
-    } else {
-      console.log('[Background] No vault.chia.net tab found');
+  const result = await browserAPI.storage.local.get('settings');
+  const strategy = getRefreshStrategy(result.settings);
+
+  switch (strategy) {
+    case 'reload':
+      console.log('[Background] Reloading tab in place:', tab.id);
+      await browserAPI.tabs.reload(tab.id);
+      break;
+
+    case 'background':
+      // Same window and position; the copy is only active if the old tab was
+      console.log('[Background] Reopening tab in background:', tab.id);
+      await replaceVaultTab(tab, { windowId: tab.windowId, index: tab.index, pinned: tab.pinned, active: tab.active });
+      break;
+
+    case 'pinned':
+      if (tab.pinned) {
+        console.log('[Background] Reloading pinned tab:', tab.id);
+        await browserAPI.tabs.reload(tab.id);
+      } else {
+        console.log('[Background] Moving vault page to a pinned tab:', tab.id);
+        await replaceVaultTab(tab, { windowId: tab.windowId, index: 0, pinned: true, active: false });
+      }
+      break;
+
+    case 'window': {
+      // A window holding only the vault tab is the dedicated one, whether or not it is still minimized
+      const win = await browserAPI.windows.get(tab.windowId, { populate: true });
+      if (win.tabs.length === 1) {
+        console.log('[Background] Reloading tab in its own window:', tab.id);
+        await browserAPI.tabs.reload(tab.id);
+      } else {
+        console.log('[Background] Moving vault page to a minimized window:', tab.id);
+        const newWindow = await browserAPI.windows.create({ url: tab.url, state: 'minimized' });
+        await handOverVaultTab(tab, newWindow.tabs[0]);
+      }
+      break;
     }
+
+    default:
+      console.log('[Background] Closing and reopening tab:', tab.id);
+      await replaceVaultTab(tab, { active: true });
   }
-});
+}
+
+/**
+ * Open a fresh copy of a vault tab and close the old one
+ * @param {Object} tab - Tab being replaced
+ * @param {Object} createProperties - Passed to tabs.create along with the tab's URL
+ */
+async function replaceVaultTab(tab, createProperties) {
+  const newTab = await browserAPI.tabs.create({ url: tab.url, ...createProperties });
+  await handOverVaultTab(tab, newTab);
+}
+
+/**
+ * Hand the lease to the replacement before closing the old tab, so a standby tab can't take over in between
+ */
+async function handOverVaultTab(oldTab, newTab) {
+  await withLease(() => setLease({ tabId: newTab.id, acquiredAt: Date.now(), expiresAt: Date.now() + LEASE_TTL_MS }));
+  await browserAPI.tabs.remove(oldTab.id);
+}
 
 /**
  * Schedule a page refresh
  * @param {number} intervalMinutes - Delay in minutes
+ * @param {string} [reason] - Why this interval was chosen, shown with the countdown
  */
-async function scheduleRefresh(intervalMinutes) {
+async function scheduleRefresh(intervalMinutes, reason) {
   await browserAPI.alarms.clear('xch-refresh');
   browserAPI.alarms.create('xch-refresh', {
     delayInMinutes: intervalMinutes
   });
-  console.log(`[Background] Refresh scheduled in ${intervalMinutes} minute(s)`);
+  await setSessionValue('refreshPlan', { intervalMinutes, reason: reason || null });
+  console.log(`[Background] Refresh scheduled in ${intervalMinutes} minute(s)${reason ? ` (${reason})` : ''}`);
 }
 
 /**
@@ -59,9 +145,44 @@ async function scheduleRefresh(intervalMinutes) {
  */
 async function cancelRefresh() {
   await browserAPI.alarms.clear('xch-refresh');
+  await setSessionValue('refreshPlan', null);
   console.log('[Background] Refresh cancelled');
 }
 
+/**
+ * Re-create one alarm per DCA schedule from the stored settings
+ * Runs already due get no alarm - the content script handles them on its next check
+ */
+async function syncDcaAlarms() {
+  const alarms = await browserAPI.alarms.getAll();
+  await Promise.all(alarms
+    .filter(a => a.name.startsWith(DCA_ALARM_PREFIX))
+    .map(a => browserAPI.alarms.clear(a.name)));
+
+  const result = await browserAPI.storage.local.get('settings');
+  const schedules = (result.settings?.orders || [])
+    .filter(o => o.type === 'dca' && o.status === 'scheduled' && o.nextRunAt > Date.now());
+
+  for (const schedule of schedules) {
+    browserAPI.alarms.create(`${DCA_ALARM_PREFIX}${schedule.id}`, { when: schedule.nextRunAt });
+  }
+  console.log(`[Background] DCA alarms synced: ${schedules.length}`);
+}
+
+/**
+ * Check if monitoring is running
+ * @returns {Promise<boolean>}
+ */
+async function isRunning() {
+  try {
+    const result = await browserAPI.storage.local.get('runningState');
+    return result.runningState?.isRunning || false;
+  } catch (e) {
+    console.error('[Background] Error checking running state:', e);
+    return false;
+  }
+}
+
 /**
  * Check if buy process is currently in progress
  * @returns {Promise<boolean>}
@@ -79,6 +200,124 @@ async function isProcessing() {
   }
 }
 
+// ============================================
+// SESSION STORAGE
+// ============================================
+
+/**
+ * Read a value kept for the browser session (local storage with a prefix where there is no session storage)
+ */
+async function getSessionValue(key) {
+  if (browserAPI.storage.session) {
+    const result = await browserAPI.storage.session.get(key);
+    return result[key] || null;
+  }
+  const result = await browserAPI.storage.local.get(`_session_${key}`);
+  return result[`_session_${key}`] || null;
+}
+
+async function setSessionValue(key, value) {
+  if (browserAPI.storage.session) {
+    await browserAPI.storage.session.set({ [key]: value });
+  } else {
+    await browserAPI.storage.local.set({ [`_session_${key}`]: value });
+  }
+}
+
+// ============================================
+// EXECUTOR LEASE
+// ============================================
+
+// Lease changes run one at a time so two tabs claiming together can't both win
+let leaseQueue = Promise.resolve();
+
+function withLease(fn) {
+  const result = leaseQueue.then(fn);
+  leaseQueue = result.catch(() => {});
+  return result;
+}
+
+// The lease lives in session storage so it survives the service worker being suspended
+function getLease() {
+  return getSessionValue('executorLease');
+}
+
+function setLease(lease) {
+  return setSessionValue('executorLease', lease);
+}
+
+async function isTabOpen(tabId) {
+  try {
+    await browserAPI.tabs.get(tabId);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Grant or renew the executor lease for a vault tab
+ * The holder renews it with each heartbeat; another tab gets it once it is free, expired or its tab is gone
+ * @param {number} tabId - Claiming tab
+ * @param {boolean} [renewOnly] - Only renew a lease the tab already holds (a buy journaled elsewhere may still be running)
+ * @returns {Promise<Object>} { leader, leaderTabId, expiresAt }
+ */
+function claimLease(tabId, renewOnly = false) {
+  return withLease(async () => {
+    const now = Date.now();
+    const lease = await getLease();
+    const held = lease && lease.tabId === tabId;
+    const free = !lease || lease.expiresAt <= now || !(await isTabOpen(lease.tabId));
+
+    if (!held && (!free || renewOnly)) {
+      return { leader: false, leaderTabId: lease ? lease.tabId : null, expiresAt: lease ? lease.expiresAt : null };
+    }
+
+    const renewed = { tabId, acquiredAt: held ? lease.acquiredAt : now, expiresAt: now + LEASE_TTL_MS };
+    await setLease(renewed);
+    if (!held) console.log(`[Background] Executor lease granted to tab ${tabId}`);
+    return { leader: true, leaderTabId: tabId, expiresAt: renewed.expiresAt };
+  });
+}
+
+/**
+ * Drop the lease if a tab holds it
+ * @returns {Promise<boolean>} true if it was released
+ */
+function releaseLease(tabId) {
+  return withLease(async () => {
+    const lease = await getLease();
+    if (!lease || lease.tabId !== tabId) return false;
+    await setLease(null);
+    console.log(`[Background] Executor lease released by tab ${tabId}`);
+    return true;
+  });
+}
+
+/**
+ * Tell standby vault tabs the lease is free so one takes over without waiting for its next heartbeat
+ */
+async function announceLeaseAvailable(tabs) {
+  for (const tab of tabs) {
+    browserAPI.tabs.sendMessage(tab.id, { action: 'LEASE_AVAILABLE' })
+      .catch(e => console.log(`[Background] Tab ${tab.id} not reachable:`, e.message));
+  }
+}
+
+/**
+ * The vault tab holding the lease, or the first vault tab when none does
+ * @returns {Promise<Object|null>}
+ */
+async function getExecutorTab() {
+  const tabs = await browserAPI.tabs.query({
+    url: 'https://vault.chia.net/buy-xch*'
+  });
+  if (tabs.length === 0) return null;
+
+  const lease = await getLease();
+  return (lease && tabs.find(t => t.id === lease.tabId)) || tabs[0];
+}
+
 // ============================================
 // MESSAGE HANDLING
 // ============================================
@@ -88,7 +327,7 @@ browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   switch (message.type) {
     case 'SCHEDULE_REFRESH':
-      scheduleRefresh(message.intervalMinutes)
+      scheduleRefresh(message.intervalMinutes, message.reason)
         .then(() => sendResponse({ success: true }))
         .catch(e => sendResponse({ success: false, error: e.message }));
       return true; // async response
@@ -99,8 +338,30 @@ browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
         .catch(e => sendResponse({ success: false, error: e.message }));
       return true;
 
+    case 'SYNC_DCA_ALARMS':
+      syncDcaAlarms()
+        .then(() => sendResponse({ success: true }))
+        .catch(e => sendResponse({ success: false, error: e.message }));
+      return true;
+
+    case 'CLAIM_LEASE':
+      if (!sender.tab) {
+        sendResponse({ error: 'Only vault tabs can hold the executor lease' });
+        break;
+      }
+      claimLease(sender.tab.id, message.renewOnly === true)
+        .then(sendResponse)
+        .catch(e => sendResponse({ error: e.message }));
+      return true;
+
+    case 'NOTIFY':
+      showNotification(message.event, message.title, message.message)
+        .then(() => sendResponse({ success: true }))
+        .catch(e => sendResponse({ success: false, error: e.message }));
+      return true;
+
     case 'UPDATE_BADGE':
-      updateBadge(message.count, message.color);
+      updateBadge(message.count, message.color, message.text, message.title);
       sendResponse({ success: true });
       break;
 
@@ -122,6 +383,56 @@ browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+// ============================================
+// NOTIFICATIONS
+// ============================================
+
+/**
+ * Raise a desktop notification unless its event class is switched off
+ * @param {string} event - Event class (fill, userDailyLimit, systemDailyLimit, stepTimeout, buyError, healthCheck, refund)
+ * @param {string} title
+ * @param {string} message
+ */
+async function showNotification(event, title, message) {
+  const result = await browserAPI.storage.local.get('settings');
+  const toggles = result.settings?.notifications || {};
+  if (toggles[event] === false) {
+    console.log(`[Background] Notification suppressed (${event} off)`);
+    return;
+  }
+
+  await browserAPI.notifications.create(`xch-${event}-${Date.now()}`, {
+    type: 'basic',
+    iconUrl: browserAPI.runtime.getURL('icons/icon128.png'),
+    title,
+    message
+  });
+  console.log(`[Background] Notification shown: ${event}`);
+}
+
+/**
+ * Bring the vault tab and its window to the front
+ */
+async function focusVaultTab() {
+  const tab = await getExecutorTab();
+  if (!tab) {
+    console.log('[Background] No vault.chia.net tab to focus');
+    return;
+  }
+
+  await browserAPI.tabs.update(tab.id, { active: true });
+  await browserAPI.windows.update(tab.windowId, { focused: true });
+}
+
+browserAPI.notifications.onClicked.addListener(async (notificationId) => {
+  try {
+    await focusVaultTab();
+  } catch (e) {
+    console.error('[Background] Error focusing vault tab:', e);
+  }
+  browserAPI.notifications.clear(notificationId);
+});
+
 // ============================================
 // BADGE MANAGEMENT
 // ============================================
@@ -130,11 +441,14 @@ browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
  * Update extension badge
  * @param {number} count - Number to display (0 to hide)
  * @param {string} color - Background color
+ * @param {string} [badgeText] - Text shown instead of the count (e.g. '!' for a failed page check)
+ * @param {string} [title] - Tooltip, defaults to the extension title
  */
-function updateBadge(count, color) {
-  const text = count > 0 ? count.toString() : '';
+function updateBadge(count, color, badgeText, title) {
+  const text = badgeText ?? (count > 0 ? count.toString() : '');
   browserAPI.action.setBadgeText({ text });
   browserAPI.action.setBadgeBackgroundColor({ color: color || '#4ade80' });
+  browserAPI.action.setTitle({ title: title || browserAPI.runtime.getManifest().action.default_title });
   console.log(`[Background] Badge updated: ${text || 'empty'}, color: ${color}`);
 }
 
@@ -171,18 +485,23 @@ async function getState() {
     }
 
     // Calculate totalSpent from executed orders (more reliable than stored counter)
-    const executedOrders = (settings.orders || []).filter(o => o.status === 'executed');
-    const totalSpent = executedOrders.reduce((sum, order) => sum + order.amount, 0);
+    const orders = settings.orders || [];
+    const executedOrders = getExecutedOrders(orders);
+    const totalSpent = calculateTotalSpent(orders);
 
     console.log('[Background] getState - totalSpent calculated from orders:', totalSpent);
 
+    const lease = await getLease();
+
     return {
       settings,
       isRunning: runningState.isRunning || false,
       currentPrice: currentPrice || null,
       totalSpent: totalSpent,
       buyProcessStarted: runningState.buyProcessStarted || false,
-      ordersExecuted: executedOrders.length
+      ordersExecuted: executedOrders.length,
+      portfolio: calculatePortfolioStats(executedOrders, currentPrice || null),
+      executorTabId: lease && lease.expiresAt > Date.now() ? lease.tabId : null
     };
   } catch (e) {
     console.error('[Background] Error getting state:', e);
@@ -192,7 +511,9 @@ async function getState() {
       currentPrice: null,
       totalSpent: 0,
       buyProcessStarted: false,
-      ordersExecuted: 0
+      ordersExecuted: 0,
+      portfolio: calculatePortfolioStats([], null),
+      executorTabId: null
     };
   }
 }
@@ -203,10 +524,13 @@ async function getState() {
  */
 async function getAlarmStatus() {
   const alarm = await browserAPI.alarms.get('xch-refresh');
+  const plan = alarm ? await getSessionValue('refreshPlan') : null;
   return {
     scheduled: !!alarm,
     scheduledTime: alarm ? alarm.scheduledTime : null,
-    remainingMinutes: alarm ? Math.round((alarm.scheduledTime - Date.now()) / 60000) : null
+    remainingMinutes: alarm ? Math.round((alarm.scheduledTime - Date.now()) / 60000) : null,
+    intervalMinutes: plan ? plan.intervalMinutes : null,
+    reason: plan ? plan.reason : null
   };
 }
 
@@ -227,15 +551,22 @@ browserAPI.runtime.onInstalled.addListener((details) => {
       }
     });
     console.log('[Background] Default settings initialized');
+  } else {
+    syncDcaAlarms();
   }
 });
 
+browserAPI.runtime.onStartup.addListener(() => {
+  syncDcaAlarms();
+});
+
 // ============================================
 // TAB EVENTS
 // ============================================
 
-// Clear badge when vault tab is closed
+// Fail over to another vault tab, or clear badge when the last vault tab is closed
 browserAPI.tabs.onRemoved.addListener(async (tabId) => {
+  const released = await releaseLease(tabId);
   const tabs = await browserAPI.tabs.query({
     url: 'https://vault.chia.net/buy-xch*'
   });
@@ -245,6 +576,8 @@ browserAPI.tabs.onRemoved.addListener(async (tabId) => {
     updateBadge(0);
     await cancelRefresh();
     console.log('[Background] All vault tabs closed, cleaned up');
+  } else if (released) {
+    await announceLeaseAvailable(tabs);
   }
 });
 
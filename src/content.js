@@ -61,15 +61,68 @@
   };
 
   // ============================================
-  // CONFIGURATION - SIMPLIFIED SELECTORS
-  // ============================================
-  const SELECTORS = {
-    amountInput: 'input.is_Input[inputmode="decimal"]',
-    dialog: 'dialog.is_DialogContent[data-state="open"]',
-    checkboxUnchecked: 'button#confirmation-checkbox[data-state="unchecked"]',
-    checkbox: 'button#confirmation-checkbox',
-    errorMessage: 'span._col-red10'  // Red error text for limit messages
-  };
+  // BUY FLOW (src/lib/buy-flow.js)
+  // ============================================
+  const buyFlow = XCHBuyFlow.createBuyFlow({ window, log, logWarn });
+  const { getLatestVaultOrder, getVaultOrders, runFlow } = buyFlow;
+
+  // ============================================
+  // ORDER ENGINE (src/lib/order-engine.js)
+  // ============================================
+  const {
+    ORDER_TYPES,
+    ORDER_STATUSES,
+    PRICE_BASES,
+    SPEND_CAP_PERIODS,
+    DEFAULT_SPEND_CAPS,
+    DEFAULT_PRICE_GUARD,
+    DEFAULT_RETRY_POLICY,
+    DEFAULT_ADAPTIVE_REFRESH,
+    REFRESH_STRATEGIES,
+    REFRESH_STRATEGY_LABELS,
+    sumAmounts,
+    getRemainingBudget,
+    getSpendCapStatus,
+    isOrderActive,
+    isOrderRetryDue,
+    isEffectiveBasis,
+    getEffectivePrice,
+    getOrderPrice,
+    isTrailingOrder,
+    getTrailTriggerPrice,
+    resetTrailingState,
+    validateBatchExecution,
+    checkPriceSanity,
+    confirmRejectedReading,
+    countConfirmingReadings,
+    getRequiredConfirmations,
+    getBatchPriceCeilings,
+    checkQuote,
+    isJournalActive,
+    getRefreshStrategy,
+    planRefresh,
+    describeRefreshPlan,
+    calculatePortfolioStats
+  } = XCHOrderEngine;
+
+  // Smallest purchase vault accepts
+  const MIN_ORDER_AMOUNT = 25;
+
+  // Price history is kept in local storage, oldest readings dropped first
+  const PRICE_HISTORY_LIMIT = 1000;
+  // Identical readings closer together than this are recorded once
+  const PRICE_HISTORY_DEDUPE_MS = 30000;
+
+  // A DCA run later than this (tab closed, monitoring stopped) is skipped rather than caught up
+  const DCA_GRACE_MINUTES = 120;
+  const DCA_SKIP_HISTORY_LIMIT = 20;
+
+  // Each rung gets this much more than the one above it with the geometric distribution
+  const LADDER_GEOMETRIC_RATIO = 1.5;
+
+  // How long the page check waits for vault to finish rendering before reporting failures
+  const HEALTH_CHECK_WAIT_MS = 15000;
+  const HEALTH_CHECK_RETRY_MS = 1000;
 
   // ============================================
   // STATE MANAGEMENT
@@ -83,15 +136,37 @@
     currentOrderIndex: null
   };
 
+  // Notification event classes, each with its own toggle
+  const NOTIFICATION_EVENTS = {
+    fill: 'Order filled',
+    userDailyLimit: 'Your daily limit',
+    systemDailyLimit: 'System daily limit',
+    stepTimeout: 'Step timeout',
+    buyError: 'Other buy errors',
+    healthCheck: 'Page check failed',
+    refund: 'Vault order refunded'
+  };
+
   // Default settings
   const DEFAULT_SETTINGS = {
     maxBudget: 0,  // 0 means not configured - user must set this
     refreshInterval: 5,
-    orders: []
+    refreshStrategy: 'reopen',  // How the background refreshes the vault tab (see REFRESH_STRATEGIES)
+    maxSlippagePct: 2,  // Dialog quote may exceed the highest batch target by this much (fees included)
+    spendCaps: { ...DEFAULT_SPEND_CAPS },  // Rolling limits on top of maxBudget, 0 = off
+    orders: [],
+    notifications: { fill: true, userDailyLimit: true, systemDailyLimit: true, stepTimeout: true, buyError: true, healthCheck: true, refund: true },
+    requeueRefunded: false,  // Put orders whose vault order failed or was cancelled straight back to pending
+    priceGuard: { ...DEFAULT_PRICE_GUARD },
+    retryPolicy: { ...DEFAULT_RETRY_POLICY },  // Backoff and attempt limit after step timeouts and buy errors
+    adaptiveRefresh: { ...DEFAULT_ADAPTIVE_REFRESH }  // Refresh faster near a target, off = fixed refreshInterval
   };
 
   let settings = { ...DEFAULT_SETTINGS };
 
+  // Latest price read from the page, used to value holdings
+  let lastObservedPrice = null;
+
   // ============================================
   // PERSIST STATE TO STORAGE
   // ============================================
@@ -113,8 +188,19 @@
     await Storage.setSession('state', stateToSave);
   }
 
-  async function persistCurrentPrice(price) {
+  /**
+   * Persist the latest price and append it to the price history
+   * @param {number} price - Observed price
+   * @param {string} source - Where the reading came from ('monitor' | 'display')
+   */
+  async function persistCurrentPrice(price, source = 'monitor') {
+    lastObservedPrice = price;
+    updateStats();
     await Storage.setSession('currentPrice', price);
+    // Rejected readings stay in the chart but are skipped by later guard checks
+    confirmRejectedReading(priceHistory, price, settings.priceGuard);
+    const { ok } = checkPriceSanity(price, priceHistory, settings.priceGuard);
+    await recordPriceHistory(price, source, !ok);
   }
 
   async function getPersistedState() {
@@ -128,6 +214,160 @@
     return state;
   }
 
+  // ============================================
+  // PRICE HISTORY
+  // ============================================
+  let priceHistory = [];
+
+  async function loadPriceHistory() {
+    priceHistory = await Storage.get('priceHistory', []);
+    console.log('[Content] Loaded price history, count:', priceHistory.length);
+  }
+
+  /**
+   * Append a price reading to the bounded history
+   * @param {number} price - Observed price
+   * @param {string} source - Where the reading came from
+   * @param {boolean} [rejected] - The price guard did not trust it
+   */
+  async function recordPriceHistory(price, source, rejected = false) {
+    const now = Date.now();
+    const last = priceHistory[priceHistory.length - 1];
+    if (last && last.price === price && now - last.timestamp < PRICE_HISTORY_DEDUPE_MS) {
+      return;
+    }
+
+    priceHistory.push(rejected ? { price, timestamp: now, source, rejected } : { price, timestamp: now, source });
+    if (priceHistory.length > PRICE_HISTORY_LIMIT) {
+      priceHistory = priceHistory.slice(-PRICE_HISTORY_LIMIT);
+    }
+    await Storage.set('priceHistory', priceHistory);
+    renderPriceChart();
+  }
+
+  async function clearPriceHistory() {
+    priceHistory = [];
+    await Storage.set('priceHistory', []);
+    renderPriceChart();
+    log('Price history cleared');
+  }
+
+  // ============================================
+  // FEE QUOTE
+  // ============================================
+
+  // Last quote vault showed ({ headlinePrice, effectivePrice, fees, amount, capturedAt }),
+  // used to estimate the effective price of effective-basis orders before a buy starts
+  let feeQuote = null;
+
+  async function loadFeeQuote() {
+    feeQuote = await Storage.get('feeQuote', null);
+  }
+
+  /**
+   * Remember the fee markup of a quote read during a buy
+   * @param {Object} quote - Parsed quote with a readable USD amount and XCH quantity
+   * @param {number} headlinePrice - Page price the buy started at, used if the quote shows no rate
+   */
+  async function recordFeeQuote(quote, headlinePrice) {
+    feeQuote = {
+      headlinePrice: quote.quotedPrice > 0 ? quote.quotedPrice : headlinePrice,
+      effectivePrice: quote.usdAmount / quote.xchAmount,
+      fees: quote.fees,
+      amount: quote.usdAmount,
+      capturedAt: Date.now()
+    };
+    await Storage.set('feeQuote', feeQuote);
+  }
+
+  /**
+   * Effective price (USD per XCH after fees) estimated for a headline price
+   */
+  function estimateEffectivePrice(headlinePrice) {
+    return getEffectivePrice(headlinePrice, feeQuote);
+  }
+
+  // ============================================
+  // EXECUTION JOURNAL
+  // ============================================
+
+  // Write-ahead record of the buy in progress ({ orderIds, amount, executionPrice, dryRun,
+  // knownVaultOrderIds, startedAt, steps, finalClickAt }), cleared once its outcome is saved
+  let executionJournal = null;
+
+  async function loadExecutionJournal() {
+    executionJournal = await Storage.get('executionJournal', null);
+  }
+
+  async function writeExecutionJournal(entry) {
+    executionJournal = entry;
+    await Storage.set('executionJournal', entry);
+  }
+
+  async function updateExecutionJournal(fields) {
+    if (!executionJournal) return;
+    await writeExecutionJournal({ ...executionJournal, ...fields });
+  }
+
+  async function clearExecutionJournal() {
+    executionJournal = null;
+    await Storage.set('executionJournal', null);
+  }
+
+  /**
+   * Settle a buy that never recorded its outcome (page refreshed or crashed mid-purchase)
+   * Orders go back to the queue only when the final click was never made; after it, a single new
+   * vault order card marks them filled and anything less certain holds them for review
+   * @returns {Promise<boolean>} true if there was a journal entry to settle
+   */
+  async function recoverExecutionJournal() {
+    const journal = executionJournal;
+    if (!journal) return false;
+
+    const orders = settings.orders.filter(o =>
+      journal.orderIds.includes(o.id) && (o.status === 'pending' || o.status === 'queued'));
+    const lastStep = journal.steps.length > 0 ? journal.steps[journal.steps.length - 1].step : 0;
+    const decision = XCHOrderEngine.resolveExecutionJournal(journal, getVaultOrders(), settings.orders);
+
+    if (decision.outcome === 'not_confirmed') {
+      log(`Interrupted buy of $${journal.amount} stopped at step ${lastStep}, before the final click - nothing was bought`);
+    } else if (decision.outcome === 'placed') {
+      const { vaultOrder } = decision;
+      for (const order of orders) {
+        XCHOrderEngine.markOrderFilled(order, 'executed', journal.executionPrice, journal.finalClickAt);
+        order.vaultOrderId = vaultOrder.orderId;
+        order.vaultOrderUrl = vaultOrder.detailsUrl;
+      }
+      logWarn(`Interrupted buy of $${journal.amount} went through as vault order #${vaultOrder.orderId} - ${orders.length} order(s) marked filled`);
+      notify('fill', 'XCH order filled', `$${journal.amount} at $${journal.executionPrice.toFixed(2)} (recovered after the page was interrupted)`);
+    } else {
+      for (const order of orders) {
+        XCHOrderEngine.flagOrderForReview(order, decision.reason, journal.executionPrice, journal.finalClickAt);
+      }
+      logWarn(`Interrupted buy of $${journal.amount} needs review: ${decision.reason} - ${orders.length} order(s) moved to the Review tab`);
+      notify('buyError', 'Buy needs review', `$${journal.amount} may have been bought (${decision.reason}). Check Your Orders, then settle it in the Review tab.`);
+    }
+
+    // A DCA run that may have bought must not run again for the same slot
+    const runs = decision.outcome === 'not_confirmed' ? [] : orders.filter(o => o.scheduleId);
+    for (const run of runs) {
+      const schedule = settings.orders.find(o => o.id === run.scheduleId);
+      if (!schedule) continue;
+      schedule.lastRunAt = journal.finalClickAt;
+      schedule.nextRunAt = getNextDcaRun(schedule, Date.now());
+    }
+
+    await clearExecutionJournal();
+    STATE.totalSpent = calculateTotalSpent();
+    STATE.ordersExecuted = getExecutedOrders().length;
+    await saveSettings();
+    if (runs.length > 0) await syncDcaAlarms();
+    renderOrders();
+    updateStats();
+    updateBadge();
+    return true;
+  }
+
   // ============================================
   // LOGGING
   // ============================================
@@ -210,11 +450,18 @@
 
   function saveLogs() {
     const content = logEntries.map(e => e.message).join('\n');
-    const blob = new Blob([content], { type: 'text/plain' });
+    downloadFile(content, `xch-limit-order-logs-${new Date().toISOString().slice(0, 10)}.txt`, 'text/plain');
+  }
+
+  /**
+   * Trigger a browser download of a text file
+   */
+  function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `xch-limit-order-logs-${new Date().toISOString().slice(0, 10)}.txt`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -222,184 +469,18 @@
   }
 
   // ============================================
-  // OBSERVER-BASED UTILITIES
+  // PRICE PARSING
   // ============================================
-
-  /**
-   * Check if a button is enabled (not disabled)
-   */
-  function isButtonEnabled(button) {
-    if (!button) return false;
-    if (button.getAttribute('aria-disabled') === 'true') return false;
-    if (button.disabled) return false;
-    const parent = button.closest('span[class*="t_"]');
-    if (parent && parent.className.includes('t_gray_Button')) return false;
-    return true;
-  }
-
-  /**
-   * Check for daily limit error messages
-   * Returns: 'SYSTEM_DAILY_LIMIT' | 'USER_DAILY_LIMIT' | null
-   */
-  function checkForDailyLimitError() {
-    const errorSpans = document.querySelectorAll(SELECTORS.errorMessage);
-    for (const span of errorSpans) {
-      const text = span.textContent.trim().toLowerCase();
-      if (text.includes('exceeds system daily limit')) {
-        return 'SYSTEM_DAILY_LIMIT';  // Retry on refresh
-      }
-      if (text.includes('exceeds your daily limit')) {
-        return 'USER_DAILY_LIMIT';    // Stop monitoring
-      }
-    }
-    return null;
-  }
-
-  /**
-   * Wait for an element to appear in the DOM
-   */
-  function waitForElement(selector, timeout = 10000) {
-    return new Promise((resolve, reject) => {
-      const el = document.querySelector(selector);
-      if (el) {
-        log(`Element found immediately: ${selector}`);
-        return resolve(el);
-      }
-
-      log(`Waiting for element: ${selector}`);
-      const observer = new MutationObserver(() => {
-        const el = document.querySelector(selector);
-        if (el) {
-          observer.disconnect();
-          log(`Element appeared: ${selector}`);
-          resolve(el);
-        }
-      });
-
-      observer.observe(document.body, { childList: true, subtree: true });
-
-      setTimeout(() => {
-        observer.disconnect();
-        reject(new Error(`Timeout waiting for ${selector}`));
-      }, timeout);
-    });
-  }
-
-  /**
-   * Wait for a button with specific text to appear AND become enabled
-   * @param {boolean} checkDailyLimit - If true, also check for daily limit errors
-   */
-  function waitForEnabledButton(buttonText, containerSelector = 'body', timeout = 10000, checkDailyLimit = false) {
-    return new Promise((resolve, reject) => {
-      const findEnabledButton = () => {
-        const container = document.querySelector(containerSelector) || document.body;
-        const buttons = container.querySelectorAll('button.is_Button');
-        for (const btn of buttons) {
-          if (btn.textContent.trim() === buttonText && isButtonEnabled(btn)) {
-            return btn;
-          }
-        }
-        return null;
-      };
-
-      // Check for daily limit error immediately
-      if (checkDailyLimit) {
-        const limitError = checkForDailyLimitError();
-        if (limitError) {
-          return reject(new Error(limitError));
-        }
-      }
-
-      const btn = findEnabledButton();
-      if (btn) {
-        log(`Button "${buttonText}" found and enabled immediately`);
-        return resolve(btn);
-      }
-
-      log(`Waiting for enabled button: "${buttonText}"`);
-      const observer = new MutationObserver(() => {
-        // Check for daily limit error on each mutation
-        if (checkDailyLimit) {
-          const limitError = checkForDailyLimitError();
-          if (limitError) {
-            observer.disconnect();
-            reject(new Error(limitError));
-            return;
-          }
-        }
-
-        const btn = findEnabledButton();
-        if (btn) {
-          observer.disconnect();
-          log(`Button "${buttonText}" is now enabled`);
-          resolve(btn);
-        }
-      });
-
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true,
-        attributes: true,
-        attributeFilter: ['aria-disabled', 'class', 'data-state', 'style']
-      });
-
-      setTimeout(() => {
-        observer.disconnect();
-        reject(new Error(`Timeout waiting for enabled button "${buttonText}"`));
-      }, timeout);
-    });
-  }
-
-  /**
-   * Wait for the confirmation dialog to appear
-   */
-  function waitForDialog(timeout = 10000) {
-    return waitForElement(SELECTORS.dialog, timeout);
+  function getCurrentPrice() {
+    const price = readPagePrice();
+    if (price === null) log('Price element not found');
+    return price;
   }
 
   /**
-   * Wait for all checkboxes in dialog to be checked
+   * Parse the "1 XCH = $x" text without logging (the page check polls this)
    */
-  function waitForCheckboxesChecked(dialog, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      const allChecked = () => {
-        const checkboxes = dialog.querySelectorAll(SELECTORS.checkbox);
-        return checkboxes.length > 0 &&
-          Array.from(checkboxes).every(cb => cb.getAttribute('data-state') === 'checked');
-      };
-
-      if (allChecked()) {
-        log('All checkboxes already checked');
-        return resolve();
-      }
-
-      log('Waiting for checkboxes to be checked...');
-      const observer = new MutationObserver(() => {
-        if (allChecked()) {
-          observer.disconnect();
-          log('All checkboxes are now checked');
-          resolve();
-        }
-      });
-
-      observer.observe(dialog, {
-        subtree: true,
-        attributes: true,
-        attributeFilter: ['data-state']
-      });
-
-      setTimeout(() => {
-        observer.disconnect();
-        if (allChecked()) resolve();
-        else reject(new Error('Timeout waiting for checkboxes to be checked'));
-      }, timeout);
-    });
-  }
-
-  // ============================================
-  // PRICE PARSING
-  // ============================================
-  function getCurrentPrice() {
+  function readPagePrice() {
     // Try specific selectors first (most efficient)
     const selectors = [
       'span.is_UIText',
@@ -423,10 +504,79 @@
         }
       }
     }
-    log('Price element not found');
     return null;
   }
 
+  // ============================================
+  // PAGE HEALTH CHECK
+  // ============================================
+
+  // Latest page check results, empty until the first check has run
+  let healthResults = [];
+
+  function getFailedCriticalChecks() {
+    return healthResults.filter(r => r.critical && !r.ok);
+  }
+
+  /**
+   * Self-test the vault page before monitoring can buy on it
+   * Retries while vault is still rendering, then reports pass/fail per check
+   * @param {Object} [options]
+   * @param {number} [options.wait] - How long to keep retrying failed critical checks
+   * @returns {Promise<boolean>} true if every critical check passed
+   */
+  async function runHealthCheck({ wait = HEALTH_CHECK_WAIT_MS } = {}) {
+    const deadline = Date.now() + wait;
+    let results;
+    for (;;) {
+      const price = readPagePrice();
+      results = [
+        {
+          id: 'price',
+          label: 'Price',
+          critical: true,
+          ok: price !== null,
+          detail: price !== null ? `$${price.toFixed(2)}` : 'no "1 XCH = $x" text found'
+        },
+        ...buyFlow.checkPageHealth()
+      ];
+      if (results.every(r => r.ok || !r.critical) || Date.now() >= deadline) break;
+      await new Promise(resolve => setTimeout(resolve, HEALTH_CHECK_RETRY_MS));
+    }
+
+    healthResults = results;
+    const failed = results.filter(r => !r.ok);
+    if (failed.length === 0) {
+      log(`Page check passed (${results.map(r => r.label).join(', ')})`);
+    }
+    failed.forEach(r => logWarn(`Page check failed: ${r.label} - ${r.detail}`));
+
+    renderHealthCheck();
+    updateBadge();
+    return getFailedCriticalChecks().length === 0;
+  }
+
+  /**
+   * Stop instead of letting a buy time out on a page the flow no longer matches
+   */
+  async function pauseForFailedHealthCheck() {
+    const labels = getFailedCriticalChecks().map(r => r.label).join(', ');
+    await stopMonitoring();
+    updateStatus('Paused: page check failed');
+    logWarn(`Monitoring paused - vault page may have changed (${labels}). Load a flow profile or re-check, then Start`);
+    notify('healthCheck', 'Monitoring paused', `Vault page check failed: ${labels}`);
+  }
+
+  function renderHealthCheck() {
+    const container = document.getElementById('xch-health-check');
+    if (!container) return;
+
+    container.innerHTML = healthResults.map(r => {
+      const state = r.ok ? 'ok' : r.critical ? 'fail' : 'warn';
+      return `<span class="xch-health-item xch-health-${state}" title="${escapeHtml(`${r.label}: ${r.detail}`)}">${r.ok ? '✓' : '✗'} ${escapeHtml(r.label)}</span>`;
+    }).join('');
+  }
+
   // ============================================
   // ORDER MANAGEMENT
   // ============================================
@@ -434,18 +584,44 @@
     return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
   }
 
-  async function addOrder(targetPrice, amount) {
+  /**
+   * Add a pending order
+   * @param {number|string} targetPrice - Limit price, or activation price for trailing orders
+   * @param {number|string} amount - Dollar amount
+   * @param {Object} [options]
+   * @param {Object} [options.trailing] - { value, unit } to create a trailing-buy order
+   * @param {number} [options.activeFrom] - Timestamp before which the order cannot fire
+   * @param {number} [options.expiresAt] - Timestamp after which the order expires
+   */
+  async function addOrder(targetPrice, amount, options = {}) {
+    const { trailing = null, activeFrom = null, expiresAt = null, priceBasis = 'headline' } = options;
     const order = {
       id: generateOrderId(),
+      type: trailing ? 'trailing' : 'limit',
       targetPrice: parseFloat(targetPrice),
       amount: parseFloat(amount),
       status: 'pending'
     };
+    if (activeFrom) order.activeFrom = activeFrom;
+    if (expiresAt) order.expiresAt = expiresAt;
+    if (priceBasis === 'effective') order.priceBasis = 'effective';
+    if (trailing) {
+      order.trailValue = parseFloat(trailing.value);
+      order.trailUnit = trailing.unit;
+      order.armed = false;
+      order.lowestPrice = null;
+      order.armedAt = null;
+    }
     settings.orders.push(order);
     await saveSettings();
     renderOrders();
     updateBadge();
-    log(`Order added: $${amount} at $${targetPrice}`);
+    const basisLabel = isEffectiveBasis(order) ? ' after fees' : '';
+    if (trailing) {
+      log(`Trailing order added: $${amount}, activates at $${targetPrice}${basisLabel}, rebound ${formatTrail(order)}`);
+    } else {
+      log(`Order added: $${amount} at $${targetPrice}${basisLabel}`);
+    }
     return order;
   }
 
@@ -457,16 +633,86 @@
       await saveSettings();
       renderOrders();
       updateBadge();
-      log(`Order removed: $${order.amount} at $${order.targetPrice}`);
+      if (order.type === 'dca') {
+        await syncDcaAlarms();
+        log(`DCA schedule removed: $${order.amount} ${formatDcaSchedule(order)}`);
+      } else {
+        log(`Order removed: $${order.amount} at $${order.targetPrice}`);
+      }
+    }
+  }
+
+  /**
+   * Edit a pending or paused order in place, keeping its id
+   * Monitoring picks the change up on its next price check, no restart needed
+   * @param {string} orderId - Order to edit
+   * @param {Object} changes - { targetPrice, amount }
+   */
+  async function updateOrder(orderId, changes) {
+    const order = settings.orders.find(o => o.id === orderId);
+    if (!order || (order.status !== 'pending' && order.status !== 'paused')) return;
+
+    const { targetPrice, amount, priceBasis = order.priceBasis || 'headline' } = changes;
+    if (!(targetPrice > 0) || !(amount > 0)) {
+      logWarn('Target price and amount must be greater than 0');
+      return;
+    }
+
+    if (amount < MIN_ORDER_AMOUNT) {
+      logWarn(`Minimum order amount is $${MIN_ORDER_AMOUNT}`);
+      return;
+    }
+
+    const currentPrice = getCurrentPrice();
+    const comparePrice = currentPrice !== null && priceBasis === 'effective' ? estimateEffectivePrice(currentPrice) : currentPrice;
+    if (!isTrailingOrder(order) && comparePrice !== null && targetPrice > comparePrice) {
+      logWarn(`Target price must be equal to or lower than current ${priceBasis} price ($${comparePrice.toFixed(2)})`);
+      return;
+    }
+
+    // A new activation price or basis starts the trailing cycle over
+    if (isTrailingOrder(order) && (targetPrice !== order.targetPrice || priceBasis !== (order.priceBasis || 'headline'))) {
+      resetTrailingState(order);
     }
+
+    const previous = `$${order.amount} at $${order.targetPrice}`;
+    order.targetPrice = targetPrice;
+    order.amount = amount;
+    if (priceBasis === 'effective') {
+      order.priceBasis = 'effective';
+    } else {
+      delete order.priceBasis;
+    }
+    order.updatedAt = Date.now();
+    editingOrderId = null;
+
+    await saveSettings();
+    renderOrders();
+    log(`Order updated: ${previous} → $${amount} at $${targetPrice}${priceBasis === 'effective' ? ' after fees' : ''}`);
+  }
+
+  /**
+   * Pause or resume a single order
+   * Paused orders stay in the Pending tab but are skipped by price checks
+   */
+  async function toggleOrderPaused(orderId) {
+    const order = settings.orders.find(o => o.id === orderId);
+    if (!order) return;
+
+    const status = XCHOrderEngine.toggleOrderPaused(order);
+    if (!status) return;
+    log(`Order ${status === 'paused' ? 'paused' : 'resumed'}: $${order.amount} at $${order.targetPrice}`);
+
+    await saveSettings();
+    renderOrders();
+    updateBadge();
   }
 
-  async function markOrderExecuted(orderId, executedPrice) {
+  async function markOrderExecuted(orderId, executedPrice, quote = null) {
     const order = settings.orders.find(o => o.id === orderId);
     if (order) {
-      order.status = 'executed';
-      order.executedPrice = executedPrice;
-      order.filledAt = Date.now();
+      XCHOrderEngine.markOrderFilled(order, 'executed', executedPrice);
+      if (quote) XCHOrderEngine.recordOrderQuote(order, quote);
 
       // Try to capture vault order info
       const vaultOrder = getLatestVaultOrder();
@@ -482,106 +728,191 @@
     }
   }
 
-  function getPendingOrders() {
-    return settings.orders.filter(o => o.status === 'pending');
+  /**
+   * Record a dry-run fill; simulated orders never count towards total spent
+   */
+  async function markOrderSimulated(orderId, executedPrice, quote = null) {
+    const order = settings.orders.find(o => o.id === orderId);
+    if (order) {
+      XCHOrderEngine.markOrderFilled(order, 'simulated', executedPrice);
+      if (quote) XCHOrderEngine.recordOrderQuote(order, quote);
+      await saveSettings();
+      renderOrders();
+    }
   }
 
-  function getExecutedOrders() {
-    return settings.orders.filter(o => o.status === 'executed');
-  }
+  // Statuses an order can be manually put back to pending from, with their log label
+  const REQUEUE_LABELS = { simulated: 'Simulated', refunded: 'Refunded', failed: 'Failed', review: 'Review' };
 
   /**
-   * Calculate total spent from executed orders
-   * This is more reliable than storing a counter that can get out of sync
+   * Put a simulated, refunded or failed order back in the pending queue
    */
-  function calculateTotalSpent() {
-    return getExecutedOrders().reduce((sum, order) => sum + order.amount, 0);
-  }
-
-  function findExecutableOrder(currentPrice) {
-    return settings.orders.find(o => o.status === 'pending' && currentPrice <= o.targetPrice);
+  async function requeueOrder(orderId, fromStatus) {
+    const order = settings.orders.find(o => o.id === orderId && o.status === fromStatus);
+    if (!order || !REQUEUE_LABELS[fromStatus]) return;
+    XCHOrderEngine.requeueOrder(order);
+    // Review orders were held against the budget
+    STATE.totalSpent = calculateTotalSpent();
+    await saveSettings();
+    renderOrders();
+    updateBadge();
+    log(`${REQUEUE_LABELS[fromStatus]} order re-queued: $${order.amount} at $${order.targetPrice}`);
   }
 
   /**
-   * Find ALL executable orders for batch execution
-   * Returns orders sorted by lowest target price first
+   * Settle a review order as bought, after checking vault's "Your Orders"
    */
-  function findExecutableOrders(currentPrice) {
-    return settings.orders
-      .filter(o => o.status === 'pending' && currentPrice <= o.targetPrice)
-      .sort((a, b) => a.targetPrice - b.targetPrice);
+  async function confirmReviewedOrder(orderId) {
+    const order = settings.orders.find(o => o.id === orderId && o.status === 'review');
+    if (!order) return;
+    XCHOrderEngine.confirmReviewedFill(order);
+    STATE.totalSpent = calculateTotalSpent();
+    STATE.ordersExecuted = getExecutedOrders().length;
+    await saveSettings();
+    await persistState();
+    renderOrders();
+    updateStats();
+    updateBadge();
+    log(`Review order confirmed filled: $${order.amount} at $${order.executedPrice.toFixed(2)}`);
   }
 
   /**
-   * Validate batch execution against budget constraints
-   * Returns orders that fit within remaining budget (lowest target first)
+   * Count a failed buy against each pending order in the batch (queued DCA runs retry on their own schedule)
    */
-  function validateBatchExecution(orders, maxBudget, totalSpent) {
-    const remainingBudget = maxBudget - totalSpent;
-
-    // Check if all orders fit within budget
-    const batchTotal = orders.reduce((sum, o) => sum + o.amount, 0);
-    if (batchTotal <= remainingBudget) {
-      return { orders, totalAmount: batchTotal };
-    }
-
-    // Partial execution: select orders that fit within budget (lowest target first)
-    let selectedOrders = [];
-    let runningTotal = 0;
+  async function recordBuyFailure(orders, error) {
+    const policy = getRetryPolicy();
+    const failed = [];
     for (const order of orders) {
-      if (runningTotal + order.amount <= remainingBudget) {
-        selectedOrders.push(order);
-        runningTotal += order.amount;
+      const current = settings.orders.find(o => o.id === order.id && o.status === 'pending');
+      if (!current) continue;
+      if (XCHOrderEngine.recordFailedAttempt(current, error, policy) === 'failed') {
+        failed.push(current);
+      } else {
+        logWarn(`Order $${current.amount} at $${current.targetPrice}: attempt ${current.attempts} failed, retry after ${formatFilledAt(current.nextAttemptAt)}`);
       }
     }
 
-    return { orders: selectedOrders, totalAmount: runningTotal };
+    if (failed.length > 0) {
+      const amount = sumAmounts(failed);
+      log(`${failed.length} order(s) ($${amount}) failed after ${policy.maxAttempts} attempt(s) - moved to the Failed tab`, 'error');
+      notify('buyError', 'Orders failed', `${failed.length} order(s) ($${amount}) gave up after ${policy.maxAttempts} attempts: ${error}`);
+    }
+
+    await saveSettings();
+    renderOrders();
+    updateBadge();
   }
 
   /**
-   * Find the latest IN PROGRESS order from vault's "Your Orders" section
-   * @returns {Object|null} { orderId, detailsUrl } or null if not found
+   * Update executed orders from the status of their vault order cards
+   * Failed and cancelled vault orders are refunded to the budget (and re-queued if enabled)
+   * @returns {number} Number of orders whose vault status changed
    */
-  function getLatestVaultOrder() {
-    // Find all text spans that might contain "Order #"
-    const allSpans = document.querySelectorAll('span.is_UIText');
-
-    for (const span of allSpans) {
-      const text = span.textContent.trim();
-      if (text.startsWith('Order #')) {
-        // Found an order card, check if it has IN PROGRESS status
-        // Navigate up to find the card container
-        const card = span.closest('div[class*="_btlr-t-radius"]') ||
-                     span.closest('div[class*="is_YStack"]');
-
-        if (card) {
-          // Look for IN PROGRESS badge (typically has blue theme)
-          const inProgressBadge = card.querySelector('span.t_sub_theme.t_blue span.is_UIText');
-          if (inProgressBadge && inProgressBadge.textContent.includes('IN PROGRESS')) {
-            // Extract Order ID
-            const orderId = text.replace('Order #', '').trim();
-
-            // Find the "View Details" link
-            const viewDetailsLink = card.querySelector('a[href*="/buy-xch/BuyOrder_"]');
-            const detailsUrl = viewDetailsLink ?
-              `https://vault.chia.net${viewDetailsLink.getAttribute('href')}` : null;
-
-            log(`Found vault order: #${orderId}`);
-            return {
-              orderId: orderId,
-              detailsUrl: detailsUrl
-            };
-          }
-        }
+  async function reconcileVaultOrdersAndSave() {
+    const changes = XCHOrderEngine.reconcileVaultOrders(settings.orders, getVaultOrders(), {
+      requeue: !!settings.requeueRefunded
+    });
+    if (changes.length === 0) return 0;
+
+    for (const { order, vaultOrderId, vaultStatus, status } of changes) {
+      if (vaultStatus === 'completed') {
+        log(`Vault order #${vaultOrderId} completed ($${order.amount})`);
+      } else if (vaultStatus === 'in_progress') {
+        log(`Vault order #${vaultOrderId} in progress ($${order.amount})`);
+      } else {
+        const outcome = status === 'pending' ? 'refunded and re-queued' : 'refunded to budget';
+        logWarn(`Vault order #${vaultOrderId} ${vaultStatus}: $${order.amount} ${outcome}`);
+        notify('refund', 'XCH order refunded',
+          `Vault order #${vaultOrderId} ${vaultStatus}. $${order.amount} at $${order.targetPrice} ${outcome}.`);
       }
     }
 
-    log('No IN PROGRESS vault order found');
-    return null;
-  }
-
-  // ============================================
-  // SETTINGS MANAGEMENT
+    STATE.totalSpent = calculateTotalSpent();
+    STATE.ordersExecuted = getExecutedOrders().length;
+    await saveSettings();
+    await persistState();
+    renderOrders();
+    updateStats();
+    updateBadge();
+    return changes.length;
+  }
+
+  function getPendingOrders() {
+    return XCHOrderEngine.getPendingOrders(settings.orders);
+  }
+
+  function getExecutedOrders() {
+    return XCHOrderEngine.getExecutedOrders(settings.orders);
+  }
+
+  function calculateTotalSpent() {
+    return XCHOrderEngine.calculateTotalSpent(settings.orders);
+  }
+
+  // ============================================
+  // ORDER TIME WINDOWS
+  // ============================================
+
+  /**
+   * Move pending and paused orders past their expiresAt to 'expired'
+   * @returns {number} Number of orders expired
+   */
+  function expireOrders() {
+    const expired = XCHOrderEngine.expireOrders(settings.orders);
+    for (const order of expired) {
+      logWarn(`Order expired: $${order.amount} at $${order.targetPrice} (good until ${formatFilledAt(order.expiresAt)})`);
+    }
+    return expired.length;
+  }
+
+  async function expireOrdersAndSave() {
+    if (expireOrders() > 0) {
+      await saveSettings();
+      renderOrders();
+      updateBadge();
+    }
+  }
+
+  function formatOrderWindow(order) {
+    const parts = [];
+    if (order.activeFrom && !isOrderActive(order)) parts.push(`from ${formatFilledAt(order.activeFrom)}`);
+    if (order.expiresAt) parts.push(`until ${formatFilledAt(order.expiresAt)}`);
+    return parts.join(' · ');
+  }
+
+  // ============================================
+  // TRAILING ORDERS
+  // ============================================
+
+  function formatTrail(order) {
+    return order.trailUnit === 'percent' ? `${order.trailValue}%` : `$${order.trailValue.toFixed(2)}`;
+  }
+
+  /**
+   * Track trailing orders at the current price, logging each arm and new low
+   * @returns {boolean} true if any order changed and settings need saving
+   */
+  function updateTrailingOrders(currentPrice) {
+    const effectivePrice = estimateEffectivePrice(currentPrice);
+    const changes = XCHOrderEngine.updateTrailingOrders(settings.orders, currentPrice, Date.now(), effectivePrice);
+    for (const { order, event } of changes) {
+      const price = getOrderPrice(order, currentPrice, effectivePrice);
+      const basis = isEffectiveBasis(order) ? ' effective' : '';
+      if (event === 'armed') {
+        log(`Trailing order armed at $${price.toFixed(2)}${basis} (activation $${order.targetPrice.toFixed(2)})`);
+      } else {
+        log(`Trailing order new${basis} low $${price.toFixed(2)}, fires at $${getTrailTriggerPrice(order).toFixed(2)}`);
+      }
+    }
+    return changes.length > 0;
+  }
+
+  function findExecutableOrders(currentPrice) {
+    return XCHOrderEngine.findExecutableOrders(settings.orders, currentPrice, Date.now(), estimateEffectivePrice(currentPrice));
+  }
+
+  // ============================================
+  // SETTINGS MANAGEMENT
   // ============================================
   async function loadSettings() {
     settings = await Storage.get('settings', DEFAULT_SETTINGS);
@@ -594,210 +925,865 @@
   }
 
   // ============================================
-  // BUY PROCESS STEPS (OBSERVER-BASED)
+  // SPEND CAPS
   // ============================================
 
-  async function executeStep1(orderAmount) {
-    log('Step 1: Finding amount input...');
-    const amountInput = document.querySelector(SELECTORS.amountInput);
+  const SPEND_CAP_LABELS = { daily: '24h', weekly: '7d', monthly: 'Month' };
+
+  /**
+   * Rolling cap context for validateBatchExecution
+   */
+  function getSpendLimits() {
+    return { caps: settings.spendCaps, history: settings.orders, now: Date.now() };
+  }
 
-    if (!amountInput) {
-      throw new Error('Amount input not found');
+  function formatCapLimit(status) {
+    const resumes = status.resumesAt ? `, frees up ${formatFilledAt(status.resumesAt)}` : '';
+    return `${SPEND_CAP_LABELS[status.period]} cap $${status.spent.toFixed(2)} of $${status.cap}${resumes}`;
+  }
+
+  function fillSpendCapInputs() {
+    const caps = { ...DEFAULT_SPEND_CAPS, ...settings.spendCaps };
+    for (const period of SPEND_CAP_PERIODS) {
+      document.getElementById(`xch-cap-${period}`).value = caps[period] > 0 ? caps[period] : '';
     }
+    renderSpendCapStatus();
+  }
 
-    log(`Step 1: Setting amount to $${orderAmount}...`);
-    const nativeSetter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
-    nativeSetter.call(amountInput, orderAmount.toString());
-    amountInput.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText' }));
+  async function saveSpendCaps() {
+    const caps = {};
+    for (const period of SPEND_CAP_PERIODS) {
+      const value = parseFloat(document.getElementById(`xch-cap-${period}`).value) || 0;
+      if (value < 0) {
+        logWarn('Spend caps must be 0 or more');
+        return;
+      }
+      caps[period] = value;
+    }
 
-    log('Step 1: Waiting for Next button to enable...');
-    // Pass checkDailyLimit=true to detect daily limit errors immediately
-    const nextButton = await waitForEnabledButton('Next', 'body', 10000, true);
+    settings.spendCaps = caps;
+    await saveSettings();
+    fillSpendCapInputs();
+    const active = SPEND_CAP_PERIODS.filter(period => caps[period] > 0).map(period => `${SPEND_CAP_LABELS[period]} $${caps[period]}`);
+    log(active.length > 0 ? `Spend caps updated: ${active.join(', ')}` : 'Spend caps off');
+  }
 
-    log('Step 1: Next button enabled, clicking...');
-    nextButton.click();
-    log('Step 1 completed');
-    return true;
+  function renderSpendCapStatus() {
+    const statusEl = document.getElementById('xch-spend-caps-status');
+    if (!statusEl) return;
+    const statuses = getSpendCapStatus(settings.orders, settings.spendCaps);
+    statusEl.textContent = statuses
+      .map(status => `${SPEND_CAP_LABELS[status.period]} $${status.spent.toFixed(2)}/$${status.cap}`)
+      .join(' · ');
   }
 
-  async function executeStep2() {
-    log('Step 2: Waiting for Buy XCH button to enable...');
-    const buyButton = await waitForEnabledButton('Buy XCH');
+  // ============================================
+  // PRICE GUARD SETTINGS
+  // ============================================
 
-    log('Step 2: Buy XCH button enabled, clicking...');
-    buyButton.click();
-    log('Step 2 completed');
-    return true;
+  const PRICE_GUARD_FIELDS = {
+    maxDeviationPct: 'xch-guard-deviation',
+    maxJumpPct: 'xch-guard-jump',
+    minPrice: 'xch-guard-min',
+    maxPrice: 'xch-guard-max',
+    largeOrderAmount: 'xch-guard-large',
+    confirmations: 'xch-guard-confirmations'
+  };
+
+  function getMaxSlippagePct() {
+    return settings.maxSlippagePct ?? DEFAULT_SETTINGS.maxSlippagePct;
   }
 
-  async function executeStep3() {
-    log('Step 3: Waiting for confirmation dialog...');
-    const dialog = await waitForDialog();
+  function getPriceGuard() {
+    return { ...DEFAULT_PRICE_GUARD, ...settings.priceGuard };
+  }
 
-    log('Step 3: Clicking checkboxes...');
-    const checkboxes = dialog.querySelectorAll(SELECTORS.checkboxUnchecked);
-    if (checkboxes.length === 0) {
-      log('Step 3: No unchecked checkboxes found (may already be checked)');
-    } else {
-      log(`Step 3: Found ${checkboxes.length} unchecked checkbox(es), clicking...`);
-      checkboxes.forEach(cb => cb.click());
+  function fillPriceGuardInputs() {
+    const guard = getPriceGuard();
+    for (const [key, id] of Object.entries(PRICE_GUARD_FIELDS)) {
+      document.getElementById(id).value = guard[key];
     }
+  }
 
-    await waitForCheckboxesChecked(dialog);
+  async function savePriceGuard() {
+    const guard = {};
+    for (const [key, id] of Object.entries(PRICE_GUARD_FIELDS)) {
+      guard[key] = parseFloat(document.getElementById(id).value) || 0;
+    }
 
-    log('Step 3: Waiting for Next button to enable...');
-    const nextButton = await waitForEnabledButton('Next', SELECTORS.dialog);
+    if (Object.values(guard).some(value => value < 0)) {
+      logWarn('Price guard values must be 0 or more');
+      return;
+    }
+    if (guard.minPrice > 0 && guard.maxPrice > 0 && guard.minPrice >= guard.maxPrice) {
+      logWarn('Price guard minimum must be below the maximum');
+      return;
+    }
+    guard.confirmations = Math.max(1, Math.round(guard.confirmations));
 
-    log('Step 3: Next button enabled, clicking...');
-    nextButton.click();
-    log('Step 3 completed: Order placed!');
-    return true;
+    settings.priceGuard = guard;
+    await saveSettings();
+    fillPriceGuardInputs();
+    log(`Price guard updated: ±${guard.maxDeviationPct}% vs median, ±${guard.maxJumpPct}% per reading, ` +
+      `${guard.confirmations} reading(s) for batches of $${guard.largeOrderAmount}+`);
   }
 
-  async function executeBuyProcess(order, currentPrice) {
-    if (!STATE.isRunning) {
-      log('Script not running, cancelling buy process');
-      return;
+  // ============================================
+  // RETRY POLICY
+  // ============================================
+
+  const RETRY_POLICY_FIELDS = {
+    maxAttempts: 'xch-retry-attempts',
+    backoffMinutes: 'xch-retry-backoff',
+    maxBackoffMinutes: 'xch-retry-max-backoff'
+  };
+
+  function getRetryPolicy() {
+    return { ...DEFAULT_RETRY_POLICY, ...settings.retryPolicy };
+  }
+
+  function fillRetryPolicyInputs() {
+    const policy = getRetryPolicy();
+    for (const [key, id] of Object.entries(RETRY_POLICY_FIELDS)) {
+      document.getElementById(id).value = policy[key];
     }
+  }
 
-    if (STATE.buyProcessStarted) {
-      log('Buy process already in progress');
+  async function saveRetryPolicy() {
+    const policy = {};
+    for (const [key, id] of Object.entries(RETRY_POLICY_FIELDS)) {
+      policy[key] = parseFloat(document.getElementById(id).value) || 0;
+    }
+
+    if (Object.values(policy).some(value => value < 0)) {
+      logWarn('Retry values must be 0 or more');
       return;
     }
+    policy.maxAttempts = Math.round(policy.maxAttempts);
 
-    const executionPrice = currentPrice || order.targetPrice;
+    settings.retryPolicy = policy;
+    await saveSettings();
+    fillRetryPolicyInputs();
+    log(`Retry policy updated: ${policy.maxAttempts > 0 ? `${policy.maxAttempts} attempt(s)` : 'unlimited attempts'}, ` +
+      `backoff ${policy.backoffMinutes}m doubling up to ${policy.maxBackoffMinutes > 0 ? `${policy.maxBackoffMinutes}m` : 'no limit'}`);
+  }
 
-    STATE.buyProcessStarted = true;
-    STATE.currentStep = 1;
-    STATE.currentOrderIndex = order.id;
-    await persistState();
-    updateStatus('Buying...');
+  // ============================================
+  // ADAPTIVE REFRESH
+  // ============================================
+
+  const ADAPTIVE_REFRESH_FIELDS = {
+    minMinutes: 'xch-adaptive-min',
+    maxMinutes: 'xch-adaptive-max',
+    bandPct: 'xch-adaptive-band',
+    maxPerHour: 'xch-adaptive-per-hour'
+  };
 
-    if (executionPrice < order.targetPrice) {
-      log(`Executing at $${executionPrice.toFixed(2)} (target was $${order.targetPrice.toFixed(2)}) - better price!`);
+  // Executor page loads older than this never count against the hourly cap
+  const PAGE_LOAD_HISTORY_MS = 60 * 60 * 1000;
+
+  function getAdaptiveRefresh() {
+    return { ...DEFAULT_ADAPTIVE_REFRESH, ...settings.adaptiveRefresh };
+  }
+
+  function fillAdaptiveRefreshInputs() {
+    const policy = getAdaptiveRefresh();
+    document.getElementById('xch-adaptive-enabled').checked = policy.enabled;
+    for (const [key, id] of Object.entries(ADAPTIVE_REFRESH_FIELDS)) {
+      document.getElementById(id).value = policy[key];
+    }
+  }
+
+  async function saveAdaptiveRefresh() {
+    const policy = { enabled: document.getElementById('xch-adaptive-enabled').checked };
+    for (const [key, id] of Object.entries(ADAPTIVE_REFRESH_FIELDS)) {
+      policy[key] = parseFloat(document.getElementById(id).value) || 0;
+    }
+
+    if (Object.values(policy).some(value => value < 0)) {
+      logWarn('Adaptive refresh values must be 0 or more');
+      return;
+    }
+    if (policy.minMinutes < 0.5 || policy.maxMinutes < policy.minMinutes) {
+      logWarn('Adaptive refresh needs a floor of at least 0.5 min and a ceiling no lower than the floor');
+      return;
     }
+    policy.maxPerHour = Math.round(policy.maxPerHour);
+
+    settings.adaptiveRefresh = policy;
+    await saveSettings();
+    fillAdaptiveRefreshInputs();
+    log(policy.enabled
+      ? `Adaptive refresh ON: ${policy.minMinutes}m within ${policy.bandPct}% of a target, up to ${policy.maxMinutes}m, ` +
+        `${policy.maxPerHour > 0 ? `max ${policy.maxPerHour}/hour` : 'no hourly cap'}`
+      : `Adaptive refresh OFF - refreshing every ${settings.refreshInterval} minute(s)`);
+
+    if (STATE.isRunning) await scheduleRefresh();
+  }
+
+  /**
+   * Remember this executor page load for the hourly refresh cap
+   */
+  async function recordPageLoad() {
+    const now = Date.now();
+    const loads = (await Storage.get('pageLoads', [])).filter(t => t > now - PAGE_LOAD_HISTORY_MS);
+    loads.push(now);
+    await Storage.set('pageLoads', loads);
+  }
 
+  /**
+   * Readable refresh interval ("45s", "3m", "2.5m")
+   */
+  function formatRefreshMinutes(minutes) {
+    if (minutes < 1) return `${Math.round(minutes * 60)}s`;
+    return Number.isInteger(minutes) ? `${minutes}m` : `${minutes.toFixed(1)}m`;
+  }
+
+  // ============================================
+  // NOTIFICATIONS
+  // ============================================
+
+  function isNotificationEnabled(event) {
+    return { ...DEFAULT_SETTINGS.notifications, ...settings.notifications }[event] !== false;
+  }
+
+  /**
+   * Ask the background to raise a desktop notification
+   * @param {string} event - Key of NOTIFICATION_EVENTS
+   */
+  async function notify(event, title, message) {
+    if (!isNotificationEnabled(event)) return;
     try {
-      if (!await executeStep1(order.amount)) {
-        throw new Error('Step 1 failed');
-      }
-      STATE.currentStep = 2;
-      await persistState();
+      await browserAPI.runtime.sendMessage({ type: 'NOTIFY', event, title, message });
+    } catch (e) {
+      console.error('[Content] Error sending notification:', e);
+    }
+  }
 
-      // Wait 5s before step 2
-      log('Waiting 5s before step 2...');
-      await new Promise(resolve => setTimeout(resolve, 5000));
+  // ============================================
+  // SETTINGS IMPORT / EXPORT
+  // ============================================
+  const SETTINGS_EXPORT_FORMAT = 'xch-limit-orders-settings';
+  const SETTINGS_EXPORT_VERSION = 1;
+  // generateOrderId() output; imported ids and links end up in toolbar markup
+  const ORDER_ID_PATTERN = /^[a-z0-9]+$/i;
+  const VAULT_URL_PREFIX = 'https://vault.chia.net/';
+
+  // Import waiting for the user to merge, replace or cancel
+  let stagedImport = null;
+
+  function exportSettings() {
+    const data = {
+      format: SETTINGS_EXPORT_FORMAT,
+      version: SETTINGS_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings
+    };
+    downloadFile(JSON.stringify(data, null, 2), `xch-limit-orders-settings-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+    log(`Settings exported (${settings.orders.length} orders)`);
+  }
 
-      if (!await executeStep2()) {
-        throw new Error('Step 2 failed');
-      }
-      STATE.currentStep = 3;
-      await persistState();
+  function isPositiveNumber(value) {
+    return typeof value === 'number' && isFinite(value) && value > 0;
+  }
 
-      // Wait 5s before step 3
-      log('Waiting 5s before step 3...');
-      await new Promise(resolve => setTimeout(resolve, 5000));
+  /**
+   * Validate a single imported order
+   * @returns {string[]} Problems found (empty when valid)
+   */
+  function validateImportedOrder(order, index) {
+    const label = `Order ${index + 1}`;
+    if (!order || typeof order !== 'object' || Array.isArray(order)) {
+      return [`${label}: not an object`];
+    }
+
+    const errors = [];
+    const type = order.type || 'limit';
+    if (typeof order.id !== 'string' || order.id.trim() === '') {
+      errors.push(`${label}: missing id`);
+    } else if (!ORDER_ID_PATTERN.test(order.id)) {
+      errors.push(`${label}: id must be letters and digits only`);
+    }
+    if (!ORDER_TYPES.includes(type)) errors.push(`${label}: unknown type "${type}"`);
+    if (!ORDER_STATUSES.includes(order.status)) errors.push(`${label}: unknown status "${order.status}"`);
+    if (!isPositiveNumber(order.amount)) {
+      errors.push(`${label}: amount must be a number greater than 0`);
+    } else if (order.amount < MIN_ORDER_AMOUNT) {
+      errors.push(`${label}: amount $${order.amount} is below the $${MIN_ORDER_AMOUNT} minimum`);
+    }
 
-      if (!await executeStep3()) {
-        throw new Error('Step 3 failed');
+    if (type === 'dca') {
+      if (!['daily', 'weekly'].includes(order.frequency)) errors.push(`${label}: unknown frequency "${order.frequency}"`);
+      if (order.frequency === 'weekly' && !(Number.isInteger(order.weekday) && order.weekday >= 0 && order.weekday <= 6)) {
+        errors.push(`${label}: weekday must be 0-6`);
       }
+      if (typeof order.time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(order.time)) errors.push(`${label}: time must be HH:MM`);
+    } else if (!isPositiveNumber(order.targetPrice)) {
+      errors.push(`${label}: target price must be a number greater than 0`);
+    }
 
-      await markOrderExecuted(order.id, executionPrice);
-      STATE.ordersExecuted++;
-      STATE.totalSpent += order.amount;
-      await persistState(); // Persist updated totalSpent
-      log(`Order completed! $${order.amount} at $${executionPrice.toFixed(2)}. Total spent: $${STATE.totalSpent}`);
-      updateStats();
-      updateBadge();
+    if (order.priceBasis !== undefined && !PRICE_BASES.includes(order.priceBasis)) {
+      errors.push(`${label}: unknown price basis "${order.priceBasis}"`);
+    }
 
-    } catch (error) {
-      if (error.message === 'SYSTEM_DAILY_LIMIT') {
-        log('System daily limit reached - will retry on next refresh', 'warn');
-        // Don't stop monitoring - system limit may be raised later
-        // Let finally block run normally to schedule refresh
-      } else if (error.message === 'USER_DAILY_LIMIT') {
-        log('Your daily limit reached - stopping monitoring', 'error');
-        updateStatus('Daily Limit Reached');
-        await stopMonitoring();
-        return; // Exit before finally block schedules refresh
+    if (order.vaultOrderUrl !== undefined && order.vaultOrderUrl !== null && !isVaultUrl(order.vaultOrderUrl)) {
+      errors.push(`${label}: vault order link must be a ${VAULT_URL_PREFIX} URL`);
+    }
+
+    if (type === 'trailing') {
+      if (!isPositiveNumber(order.trailValue)) errors.push(`${label}: trailing rebound must be greater than 0`);
+      if (!['percent', 'usd'].includes(order.trailUnit)) errors.push(`${label}: unknown trailing unit "${order.trailUnit}"`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate an exported settings file
+   * @param {*} data - Parsed JSON
+   * @returns {{ errors: string[], settings: Object|null }}
+   */
+  function validateSettingsImport(data) {
+    if (!data || typeof data !== 'object' || data.format !== SETTINGS_EXPORT_FORMAT) {
+      return { errors: ['Not an XCH Limit Orders settings export'], settings: null };
+    }
+    if (!Number.isInteger(data.version) || data.version > SETTINGS_EXPORT_VERSION) {
+      return { errors: [`Unsupported export version: ${data.version}`], settings: null };
+    }
+
+    const imported = data.settings;
+    if (!imported || typeof imported !== 'object') {
+      return { errors: ['Missing settings'], settings: null };
+    }
+
+    const errors = [];
+    if (typeof imported.maxBudget !== 'number' || !(imported.maxBudget >= 0)) errors.push('maxBudget must be a number of 0 or more');
+    for (const key of ['dryRun', 'requeueRefunded']) {
+      if (imported[key] !== undefined && typeof imported[key] !== 'boolean') errors.push(`${key} must be true or false`);
+    }
+    if (imported.notifications !== undefined) {
+      if (!imported.notifications || typeof imported.notifications !== 'object') {
+        errors.push('notifications must be an object');
       } else {
-        log(`Buy process error: ${error.message}`, 'error');
+        for (const [event, enabled] of Object.entries(imported.notifications)) {
+          if (!Object.prototype.hasOwnProperty.call(NOTIFICATION_EVENTS, event)) errors.push(`notifications.${event} is not a known notification`);
+          else if (typeof enabled !== 'boolean') errors.push(`notifications.${event} must be true or false`);
+        }
       }
-    } finally {
-      STATE.buyProcessStarted = false;
-      STATE.currentStep = 0;
-      STATE.currentOrderIndex = null;
-      await persistState();
-      updateStatus(STATE.isRunning ? 'Running' : 'Stopped');
+    }
+    if (!Number.isInteger(imported.refreshInterval) || imported.refreshInterval < 1) errors.push('refreshInterval must be a whole number of minutes');
+    if (imported.refreshStrategy !== undefined && !REFRESH_STRATEGIES.includes(imported.refreshStrategy)) {
+      errors.push(`refreshStrategy must be one of ${REFRESH_STRATEGIES.join(', ')}`);
+    }
+    if (imported.maxSlippagePct !== undefined && (typeof imported.maxSlippagePct !== 'number' || !(imported.maxSlippagePct >= 0))) {
+      errors.push('maxSlippagePct must be a number of 0 or more');
+    }
+    if (imported.spendCaps !== undefined) {
+      if (!imported.spendCaps || typeof imported.spendCaps !== 'object') {
+        errors.push('spendCaps must be an object');
+      } else {
+        for (const period of SPEND_CAP_PERIODS) {
+          const value = imported.spendCaps[period];
+          if (value !== undefined && (typeof value !== 'number' || !(value >= 0))) errors.push(`spendCaps.${period} must be a number of 0 or more`);
+        }
+      }
+    }
+    if (imported.priceGuard !== undefined) {
+      if (!imported.priceGuard || typeof imported.priceGuard !== 'object') {
+        errors.push('priceGuard must be an object');
+      } else {
+        for (const key of Object.keys(DEFAULT_PRICE_GUARD)) {
+          const value = imported.priceGuard[key];
+          if (value !== undefined && (typeof value !== 'number' || !(value >= 0))) errors.push(`priceGuard.${key} must be a number of 0 or more`);
+        }
+      }
+    }
+    if (imported.adaptiveRefresh !== undefined) {
+      if (!imported.adaptiveRefresh || typeof imported.adaptiveRefresh !== 'object') {
+        errors.push('adaptiveRefresh must be an object');
+      } else {
+        const { enabled, ...limits } = imported.adaptiveRefresh;
+        if (enabled !== undefined && typeof enabled !== 'boolean') errors.push('adaptiveRefresh.enabled must be true or false');
+        for (const key of Object.keys(ADAPTIVE_REFRESH_FIELDS)) {
+          const value = limits[key];
+          if (value !== undefined && (typeof value !== 'number' || !(value >= 0))) errors.push(`adaptiveRefresh.${key} must be a number of 0 or more`);
+        }
+      }
+    }
+    if (imported.retryPolicy !== undefined) {
+      if (!imported.retryPolicy || typeof imported.retryPolicy !== 'object') {
+        errors.push('retryPolicy must be an object');
+      } else {
+        for (const key of Object.keys(DEFAULT_RETRY_POLICY)) {
+          const value = imported.retryPolicy[key];
+          if (value !== undefined && (typeof value !== 'number' || !(value >= 0))) errors.push(`retryPolicy.${key} must be a number of 0 or more`);
+        }
+      }
+    }
+    if (!Array.isArray(imported.orders)) {
+      errors.push('orders must be a list');
+      return { errors, settings: null };
+    }
 
-      scheduleRefresh();
+    const seenIds = new Set();
+    imported.orders.forEach((order, index) => {
+      errors.push(...validateImportedOrder(order, index));
+      if (order && typeof order.id === 'string') {
+        if (seenIds.has(order.id)) errors.push(`Order ${index + 1}: duplicate id "${order.id}"`);
+        seenIds.add(order.id);
+      }
+    });
+
+    return { errors, settings: errors.length === 0 ? imported : null };
+  }
+
+  /**
+   * Compare imported orders against the current ones by id
+   */
+  function diffOrders(currentOrders, importedOrders) {
+    const currentById = new Map(currentOrders.map(o => [o.id, o]));
+    const importedIds = new Set(importedOrders.map(o => o.id));
+    return {
+      added: importedOrders.filter(o => !currentById.has(o.id)),
+      changed: importedOrders.filter(o => currentById.has(o.id) && JSON.stringify(currentById.get(o.id)) !== JSON.stringify(o)),
+      unchanged: importedOrders.filter(o => currentById.has(o.id) && JSON.stringify(currentById.get(o.id)) === JSON.stringify(o)),
+      removed: currentOrders.filter(o => !importedIds.has(o.id))
+    };
+  }
+
+  /**
+   * One-line order summary for the import preview (HTML-escaped)
+   */
+  function describeOrder(order) {
+    const text = order.type === 'dca'
+      ? `$${order.amount} ${formatDcaSchedule(order)} (${order.status})`
+      : `$${order.amount} at $${order.targetPrice} (${order.status})`;
+    return escapeHtml(text);
+  }
+
+  async function handleImportFile(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (e) {
+      logWarn(`Import failed: ${file.name} is not valid JSON`);
+      renderImportPreview({ errors: [`${file.name} is not valid JSON`] });
+      return;
     }
+
+    const result = validateSettingsImport(data);
+    if (result.errors.length > 0) {
+      logWarn(`Import rejected: ${result.errors.length} problem(s) in ${file.name}`);
+      stagedImport = null;
+      renderImportPreview({ errors: result.errors });
+      return;
+    }
+
+    stagedImport = result.settings;
+    renderImportPreview({ errors: [], diff: diffOrders(settings.orders, stagedImport.orders) });
+  }
+
+  function renderImportPreview({ errors, diff }) {
+    const previewContainer = document.getElementById('xch-import-preview');
+    if (!previewContainer) return;
+
+    if (errors.length > 0) {
+      previewContainer.innerHTML = `
+        <div style="color: #ef4444;">Import rejected:</div>
+        <ul class="xch-import-list">${errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>
+      `;
+      return;
+    }
+
+    if (!diff) {
+      previewContainer.innerHTML = '';
+      return;
+    }
+
+    const section = (title, orders, color) => orders.length === 0 ? '' : `
+      <div style="color: ${color};">${title} (${orders.length})</div>
+      <ul class="xch-import-list">${orders.map(o => `<li>${describeOrder(o)}</li>`).join('')}</ul>
+    `;
+
+    previewContainer.innerHTML = `
+      <div style="color: #9ca3af;">Budget $${stagedImport.maxBudget} · Refresh ${stagedImport.refreshInterval}m · ${stagedImport.orders.length} orders (${diff.unchanged.length} unchanged)</div>
+      ${section('New', diff.added, '#4ade80')}
+      ${section('Changed', diff.changed, '#fbbf24')}
+      ${section('Not in file', diff.removed, '#ef4444')}
+      <div class="xch-log-actions">
+        <button class="xch-btn xch-btn-small" id="xch-btn-import-merge" title="Add new and update changed orders, keep everything else">Merge</button>
+        <button class="xch-btn xch-btn-small" id="xch-btn-import-replace" title="Replace all settings and orders with the file">Replace</button>
+        <button class="xch-btn xch-btn-small" id="xch-btn-import-cancel">Cancel</button>
+      </div>
+    `;
+
+    document.getElementById('xch-btn-import-merge').addEventListener('click', () => applyImport('merge'));
+    document.getElementById('xch-btn-import-replace').addEventListener('click', () => applyImport('replace'));
+    document.getElementById('xch-btn-import-cancel').addEventListener('click', () => {
+      stagedImport = null;
+      renderImportPreview({ errors: [] });
+    });
   }
 
+  /**
+   * Apply the validated import
+   * @param {string} mode - 'merge' (orders by id, imported wins) | 'replace' (whole settings)
+   */
+  async function applyImport(mode) {
+    if (!stagedImport) return;
+
+    if (STATE.buyProcessStarted) {
+      logWarn('Cannot import while a buy is in progress');
+      return;
+    }
+
+    const wasDryRun = !!settings.dryRun;
+    if (mode === 'replace') {
+      settings = { ...DEFAULT_SETTINGS, ...stagedImport };
+    } else {
+      const importedById = new Map(stagedImport.orders.map(o => [o.id, o]));
+      const merged = settings.orders.map(o => importedById.get(o.id) || o);
+      const currentIds = new Set(settings.orders.map(o => o.id));
+      settings.orders = [...merged, ...stagedImport.orders.filter(o => !currentIds.has(o.id))];
+    }
+
+    const count = stagedImport.orders.length;
+    stagedImport = null;
+    await saveSettings();
+
+    STATE.totalSpent = calculateTotalSpent();
+    STATE.ordersExecuted = getExecutedOrders().length;
+    document.getElementById('xch-max-budget').value = settings.maxBudget > 0 ? settings.maxBudget : '';
+    document.getElementById('xch-refresh-interval').value = settings.refreshInterval;
+    document.getElementById('xch-refresh-strategy').value = getRefreshStrategy(settings);
+    document.getElementById('xch-max-slippage').value = getMaxSlippagePct();
+    document.getElementById('xch-header-budget').textContent = settings.maxBudget > 0 ? `$${settings.maxBudget}` : 'Not Set';
+    document.getElementById('xch-header-refresh').textContent = `${settings.refreshInterval}m`;
+    document.getElementById('xch-dry-run').checked = !!settings.dryRun;
+    document.getElementById('xch-dry-run-badge').style.display = settings.dryRun ? '' : 'none';
+    document.getElementById('xch-requeue-refunded').checked = !!settings.requeueRefunded;
+    document.querySelectorAll('.xch-notify-toggle').forEach(toggle => {
+      toggle.checked = isNotificationEnabled(toggle.dataset.event);
+    });
+    fillPriceGuardInputs();
+    fillSpendCapInputs();
+    fillRetryPolicyInputs();
+    fillAdaptiveRefreshInputs();
+    renderImportPreview({ errors: [] });
+    renderOrders();
+    updateStats();
+    updateBadge();
+    await syncDcaAlarms();
+    log(`Settings imported (${mode}, ${count} orders in file)`);
+    if (!!settings.dryRun !== wasDryRun) {
+      logWarn(settings.dryRun ? 'Dry run ON (from import) - purchases will be simulated, the final Next is never clicked' : 'Dry run OFF (from import) - purchases are real');
+    }
+  }
+
+  // ============================================
+  // BUY FLOW PROFILE
+  // ============================================
+
+  // Override profile from storage, null while the built-in flow is used
+  let flowProfile = null;
+
+  /**
+   * Apply the saved override profile; an invalid one is ignored so buys fall back to the built-in flow
+   */
+  async function loadFlowProfile() {
+    flowProfile = await Storage.get('flowProfile', null);
+    if (!flowProfile) {
+      renderFlowProfileStatus();
+      return;
+    }
+
+    const errors = buyFlow.setFlow(XCHBuyFlow.resolveFlow(flowProfile));
+    if (errors.length > 0) {
+      logWarn(`Saved flow profile ignored, using built-in flow: ${errors[0]}`);
+      renderFlowProfileStatus(errors);
+      return;
+    }
+    log(`Using flow profile "${buyFlow.getFlow().name}"`);
+    renderFlowProfileStatus();
+  }
+
+  async function handleFlowProfileFile(file) {
+    let profile;
+    try {
+      profile = JSON.parse(await file.text());
+    } catch (e) {
+      logWarn(`Flow profile rejected: ${file.name} is not valid JSON`);
+      renderFlowProfileStatus([`${file.name} is not valid JSON`]);
+      return;
+    }
+
+    if (STATE.buyProcessStarted) {
+      logWarn('Cannot change the flow profile while a buy is in progress');
+      return;
+    }
+
+    const errors = buyFlow.setFlow(XCHBuyFlow.resolveFlow(profile));
+    if (errors.length > 0) {
+      logWarn(`Flow profile rejected: ${errors.length} problem(s) in ${file.name}`);
+      renderFlowProfileStatus(errors);
+      return;
+    }
+
+    flowProfile = profile;
+    await Storage.set('flowProfile', profile);
+    log(`Flow profile "${buyFlow.getFlow().name}" loaded from ${file.name}`);
+    renderFlowProfileStatus();
+    if (healthResults.length > 0) await runHealthCheck({ wait: 0 });
+  }
+
+  async function resetFlowProfile() {
+    if (STATE.buyProcessStarted) {
+      logWarn('Cannot change the flow profile while a buy is in progress');
+      return;
+    }
+    buyFlow.setFlow(XCHBuyFlow.DEFAULT_FLOW);
+    flowProfile = null;
+    await Storage.set('flowProfile', null);
+    log('Flow profile reset to built-in flow');
+    renderFlowProfileStatus();
+    if (healthResults.length > 0) await runHealthCheck({ wait: 0 });
+  }
+
+  /**
+   * Download the active flow as a starting point for an override profile
+   */
+  function exportFlowProfile() {
+    const flow = buyFlow.getFlow();
+    downloadFile(JSON.stringify(flow, null, 2), `xch-buy-flow-v${flow.version}.json`, 'application/json');
+    log(`Flow "${flow.name}" exported`);
+  }
+
+  function renderFlowProfileStatus(errors = []) {
+    const statusEl = document.getElementById('xch-flow-status');
+    if (!statusEl) return;
+
+    const flow = buyFlow.getFlow();
+    const source = flowProfile && flow !== XCHBuyFlow.DEFAULT_FLOW ? 'override' : 'built-in';
+    statusEl.innerHTML = `
+      <span>${escapeHtml(flow.name)} · v${escapeHtml(flow.version)} · ${flow.steps.length} steps (${source})</span>
+      ${errors.length > 0 ? `<ul class="xch-import-list xch-flow-errors">${errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>` : ''}
+    `;
+  }
+
+  // ============================================
+  // TAX EXPORT
+  // ============================================
+
+  function escapeCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(escapeCsvValue).join(',')).join('\n') + '\n';
+  }
+
+  /**
+   * Filled orders as purchase lots, oldest first
+   * Each executed order is one lot: its USD amount is the cost basis of the XCH it bought
+   */
+  function getPurchaseLots() {
+    return getExecutedOrders()
+      .filter(o => o.filledAt)
+      .sort((a, b) => a.filledAt - b.filledAt)
+      .map(order => {
+        // The captured quote gives the XCH actually received; the batch's fees are split by amount
+        const price = order.effectivePrice || order.executedPrice || order.targetPrice;
+        const fees = order.quote && order.quote.fees !== null && order.quote.usdAmount > 0
+          ? order.quote.fees * order.amount / order.quote.usdAmount
+          : null;
+        return {
+          order,
+          date: new Date(order.filledAt),
+          quantity: order.amount / price,
+          price,
+          fees,
+          costBasis: order.amount
+        };
+      });
+  }
+
+  /**
+   * Generic cost-basis CSV: one row per lot
+   */
+  function buildCostBasisCsv(lots) {
+    const header = ['Date (UTC)', 'Type', 'Asset', 'Quantity', 'Price (USD)', 'Cost Basis (USD)', 'Lot ID', 'Vault Order #', 'Target Price (USD)', 'Fees (USD)', 'Headline Price (USD)'];
+    const rows = lots.map(lot => [
+      lot.date.toISOString(),
+      'Buy',
+      'XCH',
+      lot.quantity.toFixed(8),
+      lot.price.toFixed(4),
+      lot.costBasis.toFixed(2),
+      lot.order.id,
+      lot.order.vaultOrderId || '',
+      lot.order.targetPrice.toFixed(4),
+      lot.fees === null ? '' : lot.fees.toFixed(2),
+      (lot.order.executedPrice || lot.order.targetPrice).toFixed(4)
+    ]);
+    return toCsv(header, rows);
+  }
+
+  /**
+   * Koinly universal import template
+   */
+  function buildKoinlyCsv(lots) {
+    const header = ['Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency', 'Fee Amount', 'Fee Currency', 'Net Worth Amount', 'Net Worth Currency', 'Label', 'Description', 'TxHash'];
+    const rows = lots.map(lot => [
+      `${lot.date.toISOString().slice(0, 19).replace('T', ' ')} UTC`,
+      (lot.costBasis - (lot.fees || 0)).toFixed(2),
+      'USD',
+      lot.quantity.toFixed(8),
+      'XCH',
+      lot.fees ? lot.fees.toFixed(2) : '',
+      lot.fees ? 'USD' : '',
+      lot.costBasis.toFixed(2),
+      'USD',
+      '',
+      `Chia Vault ACH purchase${lot.order.vaultOrderId ? ` #${lot.order.vaultOrderId}` : ''} (lot ${lot.order.id})`,
+      ''
+    ]);
+    return toCsv(header, rows);
+  }
+
+  /**
+   * Download filled orders as CSV
+   * @param {string} layout - 'generic' | 'koinly'
+   */
+  function exportFilledOrdersCsv(layout) {
+    const lots = getPurchaseLots();
+    if (lots.length === 0) {
+      logWarn('No filled orders to export');
+      return;
+    }
+
+    const content = layout === 'koinly' ? buildKoinlyCsv(lots) : buildCostBasisCsv(lots);
+    const suffix = layout === 'koinly' ? 'koinly' : 'cost-basis';
+    downloadFile(content, `xch-limit-orders-${suffix}-${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv');
+    log(`Exported ${lots.length} filled order(s) as ${layout === 'koinly' ? 'Koinly' : 'cost-basis'} CSV`);
+  }
+
+  // ============================================
+  // BUY PROCESS
+  // ============================================
+
   /**
    * Execute multiple orders as a single combined transaction
    * @param {Array} orders - Array of orders to execute
    * @param {number} executionPrice - Current market price
+   * @returns {Promise<string>} 'filled' | 'SYSTEM_DAILY_LIMIT' | 'USER_DAILY_LIMIT' | 'error' | 'skipped'
    */
   async function executeBatchBuyProcess(orders, executionPrice) {
     if (!STATE.isRunning) {
       log('Script not running, cancelling batch buy process');
-      return;
+      return 'skipped';
     }
 
     if (STATE.buyProcessStarted) {
       log('Buy process already in progress');
-      return;
+      return 'skipped';
     }
 
-    const combinedAmount = orders.reduce((sum, o) => sum + o.amount, 0);
+    let outcome = 'error';
+
+    // Fixed for the whole batch so toggling mid-purchase can't flip the final click
+    const dryRun = !!settings.dryRun;
+
+    const combinedAmount = sumAmounts(orders);
+    const ceilings = getBatchPriceCeilings(orders, executionPrice, estimateEffectivePrice(executionPrice));
+    const slippagePct = getMaxSlippagePct();
     const orderIds = orders.map(o => o.id);
     const targets = orders.map(o => `$${o.targetPrice.toFixed(2)}`).join(', ');
 
-    log(`Starting batch buy: ${orders.length} order(s), $${combinedAmount} total`);
+    log(`Starting ${dryRun ? 'DRY RUN ' : ''}batch buy: ${orders.length} order(s), $${combinedAmount} total`);
     log(`Order targets (lowest first): ${targets}`);
 
+    // Journal the intent before anything is clicked, with the vault orders that already exist
+    await writeExecutionJournal({
+      orderIds,
+      amount: combinedAmount,
+      executionPrice,
+      dryRun,
+      knownVaultOrderIds: getVaultOrders().map(v => v.orderId),
+      startedAt: Date.now(),
+      steps: [],
+      finalClickAt: null
+    });
+
     STATE.buyProcessStarted = true;
     STATE.currentStep = 1;
     STATE.currentOrderIndex = orderIds;
     await persistState();
     updateStatus('Buying...');
 
-    try {
-      // Step 1: Enter combined amount
-      if (!await executeStep1(combinedAmount)) {
-        throw new Error('Step 1 failed');
-      }
-      STATE.currentStep = 2;
-      await persistState();
-
-      // Wait 5s before step 2
-      log('Waiting 5s before step 2...');
-      await new Promise(resolve => setTimeout(resolve, 5000));
+    // Figures from the confirmation dialog for the whole batch, stored on every order in it
+    let batchQuote = null;
+    let quoteRejection = null;
 
-      // Step 2: Click Buy XCH
-      if (!await executeStep2()) {
-        throw new Error('Step 2 failed');
-      }
-      STATE.currentStep = 3;
-      await persistState();
-
-      // Wait 5s before step 3
-      log('Waiting 5s before step 3...');
-      await new Promise(resolve => setTimeout(resolve, 5000));
+    try {
+      // Steps, selectors and waits come from the active flow definition
+      await runFlow({
+        amount: combinedAmount,
+        dryRun,
+        onStep: async (stepNumber) => {
+          STATE.currentStep = stepNumber;
+          await updateExecutionJournal({ steps: [...executionJournal.steps, { step: stepNumber, at: Date.now() }] });
+          await persistState();
+        },
+        onFinalClick: async () => {
+          await updateExecutionJournal({ finalClickAt: Date.now() });
+        },
+        onQuote: async (quote, stage) => {
+          const check = checkQuote(quote, { amount: combinedAmount, ceilings, slippagePct });
+          // Vault may not show a quote before the dialog; only the dialog's is mandatory
+          if (stage === 'preview' && check.problem === 'unreadable') {
+            log('No payment quote shown - fees will be read from the confirmation dialog');
+            return;
+          }
+          if (check.problem !== 'unreadable' && check.problem !== 'amount') {
+            await recordFeeQuote(quote, executionPrice);
+          }
+          const where = stage === 'preview' ? 'Payment quote' : 'Confirmation dialog';
+          if (!check.ok) {
+            logWarn(`${where} rejected: ${check.reason}`);
+            quoteRejection = `${where} rejected: ${check.reason}`;
+            throw new Error(`QUOTE_${check.problem.toUpperCase()}`);
+          }
+          if (stage === 'preview') {
+            log(`${where} OK: $${check.impliedPrice.toFixed(4)}/XCH after fees`);
+            return;
+          }
+          batchQuote = { ...quote, impliedPrice: check.impliedPrice, capturedAt: Date.now() };
+          log(`${where} matches: $${quote.usdAmount} at $${check.impliedPrice.toFixed(4)}/XCH after fees (slippage ${slippagePct}%)`);
+        }
+      });
 
-      // Step 3: Confirm purchase
-      if (!await executeStep3()) {
-        throw new Error('Step 3 failed');
+      if (dryRun) {
+        for (const order of orders) {
+          await markOrderSimulated(order.id, executionPrice, batchQuote);
+        }
+        await clearExecutionJournal();
+        const xchSimulated = (combinedAmount / executionPrice).toFixed(4);
+        log(`Dry run complete: ${orders.length} order(s) simulated at $${executionPrice.toFixed(2)} ($${combinedAmount} → ${xchSimulated} XCH)`);
+        notify('fill', 'XCH order simulated (dry run)', `$${combinedAmount} → ${xchSimulated} XCH at $${executionPrice.toFixed(2)} (${orders.length} order(s))`);
+        updateBadge();
+        outcome = 'filled';
+        return outcome;
       }
 
       // Mark ALL orders as executed
       for (const order of orders) {
-        await markOrderExecuted(order.id, executionPrice);
+        await markOrderExecuted(order.id, executionPrice, batchQuote);
       }
+      await clearExecutionJournal();
 
       STATE.ordersExecuted += orders.length;
-      STATE.totalSpent += combinedAmount;
+      STATE.totalSpent = calculateTotalSpent();
       await persistState();
 
       const xchReceived = (combinedAmount / executionPrice).toFixed(4);
@@ -805,29 +1791,395 @@
       log(`Total: $${combinedAmount} → ${xchReceived} XCH. Spent so far: $${STATE.totalSpent}`);
       updateStats();
       updateBadge();
+      notify('fill', 'XCH order filled', `$${combinedAmount} → ${xchReceived} XCH at $${executionPrice.toFixed(2)} (${orders.length} order(s))`);
+      outcome = 'filled';
 
     } catch (error) {
       if (error.message === 'SYSTEM_DAILY_LIMIT') {
         log('System daily limit reached - will retry on next refresh', 'warn');
+        notify('systemDailyLimit', 'Vault system daily limit', `$${combinedAmount} buy blocked, will retry on next refresh`);
         // Don't stop monitoring - system limit may be raised later
         // Let finally block run normally to schedule refresh
+        outcome = 'SYSTEM_DAILY_LIMIT';
       } else if (error.message === 'USER_DAILY_LIMIT') {
         log('Your daily limit reached - stopping monitoring', 'error');
+        notify('userDailyLimit', 'Your daily limit reached', `$${combinedAmount} buy blocked, monitoring stopped`);
         updateStatus('Daily Limit Reached');
         await stopMonitoring();
-        return; // Exit before finally block schedules refresh
+        return 'USER_DAILY_LIMIT'; // Monitoring stopped, so finally won't schedule a refresh
+      } else if (error.message === 'QUOTE_PRICE') {
+        // The page price was stale, moved while buying or fees were higher than estimated. Counted as a
+        // failed attempt so a quote that stays high backs off instead of reopening the dialog every refresh
+        notify('buyError', 'Buy aborted: price above target', `$${combinedAmount} buy cancelled before confirming, will retry after a backoff`);
+        await recordBuyFailure(orders, quoteRejection);
+        outcome = 'QUOTE_PRICE';
+      } else if (error.message === 'QUOTE_AMOUNT' || error.message === 'QUOTE_UNREADABLE') {
+        // Vault doesn't show what we asked for - don't keep trying until someone looks
+        log('Vault quote did not match the order - stopping monitoring', 'error');
+        notify('buyError', 'Buy aborted: quote mismatch', `$${combinedAmount} buy cancelled before confirming, monitoring stopped`);
+        updateStatus('Paused: quote mismatch');
+        await stopMonitoring();
+        return error.message;
+      } else if (error.message.startsWith('Timeout waiting')) {
+        log(`Batch buy process error: ${error.message}`, 'error');
+        notify('stepTimeout', `Buy step ${STATE.currentStep} timed out`, error.message);
+        await recordBuyFailure(orders, `Step ${STATE.currentStep}: ${error.message}`);
       } else {
         log(`Batch buy process error: ${error.message}`, 'error');
+        notify('buyError', 'Buy failed', error.message);
+        await recordBuyFailure(orders, error.message);
       }
     } finally {
+      // Still journaled means the fills were never recorded: nothing was bought before the final click
+      if (executionJournal) {
+        if (executionJournal.finalClickAt) {
+          await recoverExecutionJournal();
+        } else {
+          await clearExecutionJournal();
+        }
+      }
+
       STATE.buyProcessStarted = false;
       STATE.currentStep = 0;
       STATE.currentOrderIndex = null;
       await persistState();
       updateStatus(STATE.isRunning ? 'Running' : 'Stopped');
 
-      scheduleRefresh();
+      scheduleRefresh();
+    }
+
+    return outcome;
+  }
+
+  // ============================================
+  // DCA SCHEDULES
+  // ============================================
+
+  const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  function getDcaSchedules() {
+    return settings.orders.filter(o => o.type === 'dca' && o.status === 'scheduled');
+  }
+
+  function formatDcaSchedule(schedule) {
+    const day = schedule.frequency === 'weekly' ? `${WEEKDAYS[schedule.weekday]}s` : 'Daily';
+    return `${day} ${schedule.time}`;
+  }
+
+  /**
+   * Compute the next run of a DCA schedule strictly after a given time (local time)
+   * @param {Object} schedule - { frequency: 'daily' | 'weekly', weekday, time: 'HH:MM' }
+   * @param {number} after - Timestamp in ms
+   * @returns {number} Timestamp of the next run
+   */
+  function getNextDcaRun(schedule, after) {
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    const next = new Date(after);
+    next.setHours(hours, minutes, 0, 0);
+
+    if (schedule.frequency === 'weekly') {
+      next.setDate(next.getDate() + (schedule.weekday - next.getDay() + 7) % 7);
+      if (next.getTime() <= after) next.setDate(next.getDate() + 7);
+    } else if (next.getTime() <= after) {
+      next.setDate(next.getDate() + 1);
+    }
+    return next.getTime();
+  }
+
+  async function addDcaSchedule(amount, frequency, weekday, time) {
+    const schedule = {
+      id: generateOrderId(),
+      type: 'dca',
+      amount: parseFloat(amount),
+      frequency,
+      weekday: frequency === 'weekly' ? parseInt(weekday) : null,
+      time,
+      status: 'scheduled',
+      nextRunAt: null,
+      lastRunAt: null,
+      skippedRuns: []
+    };
+    schedule.nextRunAt = getNextDcaRun(schedule, Date.now());
+    settings.orders.push(schedule);
+    await saveSettings();
+    await syncDcaAlarms();
+    renderOrders();
+    log(`DCA schedule added: $${schedule.amount} ${formatDcaSchedule(schedule)}, next run ${formatFilledAt(schedule.nextRunAt)}`);
+    return schedule;
+  }
+
+  /**
+   * Record a skipped run and advance the schedule to its next future run
+   */
+  function skipDcaRun(schedule, reason) {
+    schedule.skippedRuns = [
+      ...(schedule.skippedRuns || []),
+      { dueAt: schedule.nextRunAt, reason, at: Date.now() }
+    ].slice(-DCA_SKIP_HISTORY_LIMIT);
+    logWarn(`DCA run of $${schedule.amount} due ${formatFilledAt(schedule.nextRunAt)} skipped: ${reason}`);
+    schedule.nextRunAt = getNextDcaRun(schedule, Date.now());
+  }
+
+  /**
+   * Handle DCA schedules that are due
+   *
+   * Skip policy:
+   * - A run that is more than DCA_GRACE_MINUTES late is skipped, never caught up. This covers
+   *   a vault tab that was closed or monitoring that was stopped when the run came due.
+   * - A run that would exceed the max budget is skipped.
+   * - USER_DAILY_LIMIT skips the run (monitoring stops as for limit orders).
+   * - SYSTEM_DAILY_LIMIT or a step error leaves the run due; it is retried on the next
+   *   refresh until the grace window runs out.
+   *
+   * @returns {Promise<boolean>} true if a DCA run was started (price orders wait for the next check)
+   */
+  async function runDueDcaSchedules(currentPrice) {
+    const now = Date.now();
+    const dueSchedules = getDcaSchedules().filter(s => s.nextRunAt <= now);
+    if (dueSchedules.length === 0) return false;
+
+    let changed = false;
+    let runnable = null;
+    for (const schedule of dueSchedules) {
+      if (now - schedule.nextRunAt > DCA_GRACE_MINUTES * 60000) {
+        skipDcaRun(schedule, 'missed (vault tab closed or monitoring stopped)');
+        changed = true;
+      } else {
+        const batch = validateBatchExecution([schedule], settings.maxBudget, STATE.totalSpent, getSpendLimits());
+        if (batch.orders.length === 0) {
+          skipDcaRun(schedule, batch.cap ? `would exceed the ${SPEND_CAP_LABELS[batch.cap.period]} spend cap` : 'would exceed max budget');
+          changed = true;
+        } else if (!runnable) {
+          runnable = schedule;
+        }
+      }
+    }
+
+    if (changed) {
+      await saveSettings();
+      await syncDcaAlarms();
+      renderOrders();
+    }
+
+    if (!runnable) return false;
+
+    // Nothing awaits the price check, so a failed run has to be reported and rescheduled here
+    try {
+      await executeDcaRun(runnable, currentPrice);
+    } catch (error) {
+      log(`DCA run error: ${error.message}`, 'error');
+      scheduleRefresh();
+    }
+    return true;
+  }
+
+  /**
+   * Buy a DCA schedule's amount at the current price through the batch pipeline
+   */
+  async function executeDcaRun(schedule, currentPrice) {
+    log(`DCA run due: $${schedule.amount} (${formatDcaSchedule(schedule)})`);
+
+    // Market run records count against maxBudget once executed, like any filled order
+    const run = {
+      id: generateOrderId(),
+      type: 'market',
+      scheduleId: schedule.id,
+      targetPrice: currentPrice,
+      amount: schedule.amount,
+      status: 'queued'
+    };
+    settings.orders.push(run);
+    await saveSettings();
+
+    const outcome = await executeBatchBuyProcess([run], currentPrice);
+
+    if (outcome === 'filled') {
+      schedule.lastRunAt = Date.now();
+      schedule.nextRunAt = getNextDcaRun(schedule, schedule.lastRunAt);
+      log(`DCA next run ${formatFilledAt(schedule.nextRunAt)}`);
+    } else if (run.status === 'queued') {
+      // Runs settled from the journal (filled or held for review) keep their record
+      settings.orders = settings.orders.filter(o => o.id !== run.id);
+      if (outcome === 'USER_DAILY_LIMIT') {
+        skipDcaRun(schedule, 'daily limit reached');
+      } else {
+        logWarn('DCA run not completed - will retry on next refresh');
+      }
+    }
+
+    await saveSettings();
+    await syncDcaAlarms();
+    renderOrders();
+  }
+
+  /**
+   * Drop run records left queued by a buy that never finished (e.g. tab closed mid-purchase)
+   */
+  async function cleanupQueuedDcaRuns() {
+    const queued = settings.orders.filter(o => o.status === 'queued');
+    if (queued.length === 0) return;
+    settings.orders = settings.orders.filter(o => o.status !== 'queued');
+    await saveSettings();
+    logWarn(`Removed ${queued.length} unfinished DCA run(s) - the schedule will retry while within its grace window`);
+  }
+
+  async function syncDcaAlarms() {
+    try {
+      await browserAPI.runtime.sendMessage({ type: 'SYNC_DCA_ALARMS' });
+    } catch (e) {
+      console.error('[Content] Error syncing DCA alarms:', e);
+    }
+  }
+
+  // ============================================
+  // LADDER GENERATOR
+  // ============================================
+
+  // Rung weights, index 0 is the highest price rung
+  const LADDER_DISTRIBUTIONS = {
+    flat: () => 1,
+    linear: (i) => i + 1,
+    geometric: (i) => Math.pow(LADDER_GEOMETRIC_RATIO, i),
+    bottom: (i) => (i + 1) * (i + 1)
+  };
+
+  /**
+   * Build a ladder of orders between two prices
+   * Amounts are rounded to cents; leftover cents go to the lowest rung
+   * @param {number} highPrice - Top rung target
+   * @param {number} lowPrice - Bottom rung target
+   * @param {number} rungs - Number of orders
+   * @param {number} totalAmount - Dollars spread across all rungs
+   * @param {string} distribution - Key of LADDER_DISTRIBUTIONS
+   * @returns {{ orders: Array<{targetPrice: number, amount: number}>, error: string|null }}
+   */
+  function buildLadder(highPrice, lowPrice, rungs, totalAmount, distribution) {
+    if (!(highPrice > 0) || !(lowPrice > 0)) {
+      return { orders: [], error: 'Prices must be greater than 0' };
+    }
+    if (lowPrice >= highPrice) {
+      return { orders: [], error: 'Low price must be below high price' };
+    }
+    if (!Number.isInteger(rungs) || rungs < 2) {
+      return { orders: [], error: 'A ladder needs at least 2 rungs' };
+    }
+    const weightFn = LADDER_DISTRIBUTIONS[distribution];
+    if (!weightFn) {
+      return { orders: [], error: `Unknown distribution: ${distribution}` };
+    }
+
+    const step = (highPrice - lowPrice) / (rungs - 1);
+    const prices = Array.from({ length: rungs }, (_, i) => Math.round((highPrice - step * i) * 100) / 100);
+    if (new Set(prices).size !== prices.length) {
+      return { orders: [], error: 'Price range too narrow for that many rungs' };
+    }
+
+    const weights = prices.map((_, i) => weightFn(i));
+    const weightSum = weights.reduce((sum, w) => sum + w, 0);
+    const totalCents = Math.round(totalAmount * 100);
+    const cents = weights.map(w => Math.floor(totalCents * w / weightSum));
+    cents[cents.length - 1] += totalCents - cents.reduce((sum, c) => sum + c, 0);
+
+    const orders = prices.map((targetPrice, i) => ({ targetPrice, amount: cents[i] / 100 }));
+    const tooSmall = orders.find(o => o.amount < MIN_ORDER_AMOUNT);
+    if (tooSmall) {
+      return {
+        orders,
+        error: `Rung at $${tooSmall.targetPrice.toFixed(2)} would be $${tooSmall.amount.toFixed(2)}, below the $${MIN_ORDER_AMOUNT} minimum`
+      };
+    }
+
+    return { orders, error: null };
+  }
+
+  /**
+   * Read the ladder form and build the ladder, checking budget and current price
+   */
+  function buildLadderFromForm() {
+    const highPrice = parseFloat(document.getElementById('xch-ladder-high').value);
+    const lowPrice = parseFloat(document.getElementById('xch-ladder-low').value);
+    const rungs = parseInt(document.getElementById('xch-ladder-rungs').value);
+    const totalAmount = parseFloat(document.getElementById('xch-ladder-total').value);
+    const distribution = document.getElementById('xch-ladder-distribution').value;
+
+    if (!highPrice || !lowPrice || !rungs || !totalAmount) {
+      return { orders: [], error: 'Please enter high price, low price, rungs and total amount' };
+    }
+
+    const ladder = buildLadder(highPrice, lowPrice, rungs, totalAmount, distribution);
+    if (ladder.error) return ladder;
+
+    const remainingBudget = getRemainingBudget(settings.maxBudget, calculateTotalSpent());
+    if (totalAmount > remainingBudget) {
+      return { ...ladder, error: `Total $${totalAmount.toFixed(2)} exceeds remaining budget ($${remainingBudget.toFixed(2)})` };
+    }
+
+    const currentPrice = getCurrentPrice();
+    if (currentPrice !== null && highPrice > currentPrice) {
+      return { ...ladder, error: `High price must be equal to or lower than current price ($${currentPrice.toFixed(2)})` };
+    }
+
+    return ladder;
+  }
+
+  function renderLadderPreview(ladder) {
+    const previewContainer = document.getElementById('xch-ladder-preview');
+    if (!previewContainer) return;
+
+    if (ladder.orders.length === 0) {
+      previewContainer.innerHTML = ladder.error
+        ? `<div style="color: #ef4444; padding: 8px 0;">${ladder.error}</div>`
+        : '';
+      return;
+    }
+
+    const rows = ladder.orders.map(order => `
+      <tr>
+        <td><span class="xch-order-amount">$${order.amount.toFixed(2)}</span></td>
+        <td><span class="xch-order-target">$${order.targetPrice.toFixed(2)}</span></td>
+        <td><span class="xch-order-xch">${(order.amount / order.targetPrice).toFixed(4)} XCH</span></td>
+      </tr>
+    `).join('');
+    const totalAmount = ladder.orders.reduce((sum, o) => sum + o.amount, 0);
+    const totalXch = ladder.orders.reduce((sum, o) => sum + o.amount / o.targetPrice, 0);
+    const footer = ladder.error
+      ? `<div style="color: #ef4444; padding: 6px 0;">${ladder.error}</div>`
+      : `<div style="color: #9ca3af; padding: 6px 0;">${ladder.orders.length} orders · $${totalAmount.toFixed(2)} · ≈${totalXch.toFixed(4)} XCH</div>`;
+
+    previewContainer.innerHTML = `
+      <table class="xch-orders-table">
+        <thead>
+          <tr>
+            <th>Amount</th>
+            <th>Target Price</th>
+            <th>≈XCH Amount</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${footer}
+    `;
+  }
+
+  /**
+   * Add every rung as a pending order in a single settings write
+   */
+  async function createLadderOrders(ladder) {
+    for (const rung of ladder.orders) {
+      settings.orders.push({
+        id: generateOrderId(),
+        type: 'limit',
+        targetPrice: rung.targetPrice,
+        amount: rung.amount,
+        status: 'pending'
+      });
     }
+    await saveSettings();
+    renderOrders();
+    updateBadge();
+    const high = ladder.orders[0].targetPrice;
+    const low = ladder.orders[ladder.orders.length - 1].targetPrice;
+    log(`Ladder added: ${ladder.orders.length} orders from $${high.toFixed(2)} to $${low.toFixed(2)}`);
   }
 
   // ============================================
@@ -839,6 +2191,11 @@
       return;
     }
 
+    if (!isExecutor) {
+      log('Standby tab, skipping price check');
+      return;
+    }
+
     if (STATE.buyProcessStarted) {
       log('Buy process in progress, skipping price check');
       return;
@@ -860,7 +2217,22 @@
 
     log(`Current price: $${currentPrice.toFixed(2)}`);
     updatePriceDisplay(currentPrice);
-    await persistCurrentPrice(currentPrice);
+    await persistCurrentPrice(currentPrice, 'monitor');
+
+    await expireOrdersAndSave();
+
+    // Don't act on a reading that doesn't fit recent prices (mis-parse, stray span)
+    const sanity = checkPriceSanity(currentPrice, priceHistory, settings.priceGuard);
+    if (!sanity.ok) {
+      logWarn(`Price guard: $${currentPrice.toFixed(2)} not trusted - ${sanity.reasons.join('; ')}. Nothing executed`);
+      scheduleRefresh();
+      return;
+    }
+
+    // Due DCA runs go first; price-triggered orders are checked on the next refresh
+    if (await runDueDcaSchedules(currentPrice)) {
+      return;
+    }
 
     const pendingOrders = getPendingOrders();
     if (pendingOrders.length === 0) {
@@ -869,40 +2241,94 @@
       return;
     }
 
+    if (pendingOrders.some(isEffectiveBasis)) {
+      log(feeQuote
+        ? `Effective price ≈ $${estimateEffectivePrice(currentPrice).toFixed(4)} (fees from the last quote)`
+        : 'Effective price unknown until vault shows a quote - after-fees orders wait for one');
+    }
+
+    // Track trailing orders before looking for executable ones
+    if (updateTrailingOrders(currentPrice)) {
+      await saveSettings();
+      renderOrders();
+    }
+
     // Find all orders that can be executed at current price
     const executableOrders = findExecutableOrders(currentPrice);
 
     if (executableOrders.length > 0) {
       // Validate batch against budget constraints
-      const batch = validateBatchExecution(executableOrders, settings.maxBudget, STATE.totalSpent);
+      const batch = validateBatchExecution(executableOrders, settings.maxBudget, STATE.totalSpent, getSpendLimits());
+      if (batch.cap && batch.orders.length > 0) {
+        log(`${executableOrders.length - batch.orders.length} order(s) held back by the ${formatCapLimit(batch.cap)}`);
+      }
 
-      if (batch.orders.length > 0) {
+      // Large batches wait until enough consecutive readings would have triggered them too
+      const requiredReadings = getRequiredConfirmations(batch.totalAmount, settings.priceGuard);
+      const confirmingReadings = countConfirmingReadings(batch.orders, priceHistory, Date.now(), feeQuote);
+      if (batch.orders.length > 0 && confirmingReadings < requiredReadings) {
+        log(`Price guard: $${batch.totalAmount} batch waiting for confirmation (${confirmingReadings}/${requiredReadings} readings)`);
+        scheduleRefresh();
+      } else if (batch.orders.length > 0) {
         const targets = batch.orders.map(o => `$${o.targetPrice.toFixed(2)}`).join(', ');
         log(`Price $${currentPrice.toFixed(2)} triggers ${batch.orders.length} order(s) [${targets}]`);
         log(`Combined amount: $${batch.totalAmount}`);
 
         // Use batch execution for combined transaction
         executeBatchBuyProcess(batch.orders, currentPrice);
+      } else if (batch.cap) {
+        // Rolling caps free up again, so keep monitoring instead of stopping
+        log(`Spend cap reached (${formatCapLimit(batch.cap)}) - waiting`);
+        scheduleRefresh();
       } else {
         log('All executable orders would exceed budget, stopping');
         await stopMonitoring();
       }
     } else {
-      const lowestTarget = Math.min(...pendingOrders.map(o => o.targetPrice));
-      log(`Price above all targets. Lowest target: $${lowestTarget.toFixed(2)}`);
+      const armedOrders = pendingOrders.filter(o => isTrailingOrder(o) && o.armed);
+      armedOrders.forEach(o => {
+        log(`Trailing order armed: low $${o.lowestPrice.toFixed(2)}, fires at $${getTrailTriggerPrice(o).toFixed(2)}`);
+      });
+      const inactiveOrders = pendingOrders.filter(o => !isOrderActive(o));
+      if (inactiveOrders.length > 0) {
+        log(`${inactiveOrders.length} order(s) not active yet`);
+      }
+      const backingOffOrders = pendingOrders.filter(o => !isOrderRetryDue(o));
+      if (backingOffOrders.length > 0) {
+        const nextAttemptAt = Math.min(...backingOffOrders.map(o => o.nextAttemptAt));
+        log(`${backingOffOrders.length} order(s) backing off after failed buys, next retry ${formatFilledAt(nextAttemptAt)}`);
+      }
+      const waitingOrders = pendingOrders.filter(o =>
+        !armedOrders.includes(o) && !inactiveOrders.includes(o) && !backingOffOrders.includes(o));
+      if (waitingOrders.length > 0) {
+        const lowestTarget = Math.min(...waitingOrders.map(o => o.targetPrice));
+        log(`Price above all targets. Lowest target: $${lowestTarget.toFixed(2)}`);
+      }
       scheduleRefresh();
     }
   }
 
   async function scheduleRefresh() {
-    if (!STATE.isRunning) return;
+    if (!STATE.isRunning || !isExecutor) return;
 
     try {
+      const plan = planRefresh({
+        refreshInterval: settings.refreshInterval,
+        adaptive: settings.adaptiveRefresh,
+        orders: settings.orders,
+        headlinePrice: lastObservedPrice,
+        effectivePrice: lastObservedPrice && estimateEffectivePrice(lastObservedPrice),
+        recentLoads: await Storage.get('pageLoads', [])
+      });
+      const reason = describeRefreshPlan(plan);
       await browserAPI.runtime.sendMessage({
         type: 'SCHEDULE_REFRESH',
-        intervalMinutes: settings.refreshInterval
+        intervalMinutes: plan.intervalMinutes,
+        reason
       });
-      log(`Next refresh in ${settings.refreshInterval} minute(s)`);
+      log(plan.reason === 'fixed'
+        ? `Next refresh in ${plan.intervalMinutes} minute(s)`
+        : `Next refresh in ${formatRefreshMinutes(plan.intervalMinutes)} (${reason})`);
     } catch (e) {
       log(`Error scheduling refresh: ${e.message}`, 'error');
     }
@@ -932,6 +2358,11 @@
       return;
     }
 
+    if (!isExecutor) {
+      logWarn('Standby tab - start monitoring from the vault tab that executes orders');
+      return;
+    }
+
     // Check if max budget is configured
     if (!settings.maxBudget || settings.maxBudget <= 0) {
       logWarn('Max Budget not configured - cannot start monitoring');
@@ -940,11 +2371,16 @@
     }
 
     const pendingOrders = getPendingOrders();
-    if (pendingOrders.length === 0) {
+    if (pendingOrders.length === 0 && getDcaSchedules().length === 0) {
       log('No pending orders to monitor');
       return;
     }
 
+    if (getFailedCriticalChecks().length > 0 && !await runHealthCheck({ wait: 0 })) {
+      logWarn('Page check still failing - cannot start monitoring');
+      return;
+    }
+
     STATE.isRunning = true;
     await persistState();
     log('Starting limit order monitoring');
@@ -970,12 +2406,16 @@
   // ============================================
   async function updateBadge() {
     const pendingCount = getPendingOrders().length;
-    const color = STATE.isRunning ? '#4ade80' : '#6b7280';
+    const failedChecks = getFailedCriticalChecks();
+    const color = failedChecks.length > 0 ? '#ef4444' : STATE.isRunning ? '#4ade80' : '#6b7280';
     try {
       await browserAPI.runtime.sendMessage({
         type: 'UPDATE_BADGE',
         count: pendingCount,
-        color
+        color,
+        // A failed page check replaces the count with a warning
+        text: failedChecks.length > 0 ? '!' : undefined,
+        title: failedChecks.length > 0 ? `Page check failed: ${failedChecks.map(r => r.label).join(', ')}` : undefined
       });
     } catch (e) {
       console.error('[Content] Error updating badge:', e);
@@ -1002,6 +2442,25 @@
     }
   }
 
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+  }
+
+  function isVaultUrl(url) {
+    return typeof url === 'string' && url.startsWith(VAULT_URL_PREFIX);
+  }
+
+  /**
+   * Vault order number, linked to its details page when the stored URL is a vault one
+   */
+  function formatVaultOrder(order, empty) {
+    if (!order.vaultOrderId) return empty;
+    const orderId = escapeHtml(order.vaultOrderId);
+    return isVaultUrl(order.vaultOrderUrl)
+      ? `<a href="${escapeHtml(order.vaultOrderUrl)}" target="_blank" class="xch-vault-order-link">${orderId}</a>`
+      : `<span class="xch-vault-order-id">${orderId}</span>`;
+  }
+
   function formatFilledAt(timestamp) {
     return new Date(timestamp).toLocaleString('en-US', {
       month: 'short',
@@ -1017,6 +2476,29 @@
   function updateStats() {
     const spentEl = document.getElementById('xch-total-spent');
     if (spentEl) spentEl.textContent = `$${STATE.totalSpent.toFixed(2)}`;
+
+    const stats = calculatePortfolioStats(getExecutedOrders(), lastObservedPrice);
+    const setText = (id, text) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = text;
+    };
+    setText('xch-stat-xch', `${stats.xchAcquired.toFixed(4)} XCH`);
+    setText('xch-stat-avg-price', stats.averagePrice !== null ? `$${stats.averagePrice.toFixed(4)}` : '--');
+    setText('xch-stat-value', stats.currentValue !== null ? `$${stats.currentValue.toFixed(2)}` : '--');
+    setText('xch-stat-savings', `$${stats.savings.toFixed(2)}`);
+    renderSpendCapStatus();
+
+    const pnlEl = document.getElementById('xch-stat-pnl');
+    if (pnlEl) {
+      if (stats.unrealizedPnl === null || stats.totalCost === 0) {
+        pnlEl.textContent = '--';
+        pnlEl.style.color = '#e5e5e5';
+      } else {
+        const sign = stats.unrealizedPnl >= 0 ? '+' : '-';
+        pnlEl.textContent = `${sign}$${Math.abs(stats.unrealizedPnl).toFixed(2)} (${sign}${Math.abs(stats.unrealizedPnlPct).toFixed(2)}%)`;
+        pnlEl.style.color = stats.unrealizedPnl >= 0 ? '#4ade80' : '#ef4444';
+      }
+    }
   }
 
   // Countdown timer state
@@ -1029,6 +2511,12 @@
     try {
       const alarmStatus = await browserAPI.runtime.sendMessage({ type: 'GET_ALARM_STATUS' });
 
+      const reasonEl = document.getElementById('xch-refresh-reason');
+      reasonEl.textContent = alarmStatus.scheduled && getAdaptiveRefresh().enabled ? alarmStatus.reason || '' : '';
+      if (alarmStatus.scheduled && alarmStatus.intervalMinutes) {
+        document.getElementById('xch-header-refresh').textContent = formatRefreshMinutes(alarmStatus.intervalMinutes);
+      }
+
       if (alarmStatus.scheduled && alarmStatus.scheduledTime) {
         const remaining = alarmStatus.scheduledTime - Date.now();
         if (remaining <= 0) {
@@ -1059,14 +2547,17 @@
     }
     const countdownEl = document.getElementById('xch-countdown');
     if (countdownEl) countdownEl.textContent = '--';
+    const reasonEl = document.getElementById('xch-refresh-reason');
+    if (reasonEl) reasonEl.textContent = '';
   }
 
   function renderOrders() {
     const pendingContainer = document.getElementById('xch-orders-pending-list');
-    const filledContainer = document.getElementById('xch-orders-filled-list');
+    const filledContainer = document.getElementById('xch-orders-filled-table');
     if (!pendingContainer || !filledContainer) return;
 
     const pendingOrders = settings.orders.filter(o => o.status === 'pending');
+    const listedOrders = settings.orders.filter(o => o.status === 'pending' || o.status === 'paused');
     const filledOrders = settings.orders.filter(o => o.status === 'executed');
 
     // Update header counts
@@ -1078,21 +2569,62 @@
     // Update tab counts
     const tabPendingCount = document.getElementById('xch-tab-pending-count');
     const tabFilledCount = document.getElementById('xch-tab-filled-count');
-    if (tabPendingCount) tabPendingCount.textContent = pendingOrders.length;
+    if (tabPendingCount) tabPendingCount.textContent = listedOrders.length;
     if (tabFilledCount) tabFilledCount.textContent = filledOrders.length;
 
-    // Render pending orders
-    if (pendingOrders.length === 0) {
+    // Render pending (and paused) orders
+    if (listedOrders.length === 0) {
       pendingContainer.innerHTML = '<div style="color: #6b7280; padding: 12px; text-align: center;">No pending orders</div>';
     } else {
-      const pendingRows = pendingOrders.map(order => {
+      const pendingRows = listedOrders.map(order => {
+        if (order.id === editingOrderId) {
+          return `
+        <tr data-id="${escapeHtml(order.id)}" class="xch-order-editing">
+          <td><input type="number" class="xch-edit-amount" value="${order.amount}" min="${MIN_ORDER_AMOUNT}" step="1"></td>
+          <td>
+            <input type="number" class="xch-edit-target" value="${order.targetPrice}" min="0.01" step="0.01">
+            <select class="xch-edit-basis">
+              <option value="headline"${isEffectiveBasis(order) ? '' : ' selected'}>Headline</option>
+              <option value="effective"${isEffectiveBasis(order) ? ' selected' : ''}>After fees</option>
+            </select>
+          </td>
+          <td><span class="xch-order-xch">--</span></td>
+          <td>
+            <button class="xch-btn-icon xch-btn-edit-save" data-id="${escapeHtml(order.id)}" title="Save">✓</button>
+            <button class="xch-btn-icon xch-btn-edit-cancel" data-id="${escapeHtml(order.id)}" title="Cancel">✕</button>
+          </td>
+        </tr>
+      `;
+        }
+
+        const isPaused = order.status === 'paused';
         const xchAmount = (order.amount / order.targetPrice).toFixed(4);
+        let trailingDisplay = '';
+        if (isTrailingOrder(order)) {
+          trailingDisplay = order.armed
+            ? `<span class="xch-order-trailing">trail ${formatTrail(order)} · low $${order.lowestPrice.toFixed(2)} → fires $${getTrailTriggerPrice(order).toFixed(2)}</span>`
+            : `<span class="xch-order-trailing">trail ${formatTrail(order)} · not armed</span>`;
+        }
+        const pausedDisplay = isPaused ? '<span class="xch-order-status xch-order-status-pending">PAUSED</span>' : '';
+        const orderWindow = formatOrderWindow(order);
+        const windowDisplay = orderWindow ? `<div class="xch-order-window">${orderWindow}</div>` : '';
+        const basisDisplay = isEffectiveBasis(order) ? '<span class="xch-order-basis" title="Compared with USD paid per XCH received after fees">after fees</span>' : '';
+        const feeQuoteDisplay = isEffectiveBasis(order) && !feeQuote
+          ? '<div class="xch-order-window" title="Fees are learned from the quote vault shows during a buy or dry run">waiting for a fee quote</div>'
+          : '';
+        const retryDisplay = order.attempts
+          ? `<div class="xch-order-retry" title="${escapeHtml(order.lastError || '')}">${Number(order.attempts)} failed attempt(s)${isOrderRetryDue(order) ? '' : ` · retry ${formatFilledAt(order.nextAttemptAt)}`}</div>`
+          : '';
         return `
-        <tr data-id="${order.id}">
-          <td><span class="xch-order-amount">$${order.amount.toFixed(2)}</span></td>
-          <td><span class="xch-order-target">$${order.targetPrice.toFixed(2)}</span></td>
+        <tr data-id="${escapeHtml(order.id)}"${isPaused ? ' class="xch-order-paused"' : ''}>
+          <td><span class="xch-order-amount">$${order.amount.toFixed(2)}</span> ${pausedDisplay}</td>
+          <td><span class="xch-order-target">$${order.targetPrice.toFixed(2)}</span> ${basisDisplay}${trailingDisplay}${windowDisplay}${feeQuoteDisplay}${retryDisplay}</td>
           <td><span class="xch-order-xch">${xchAmount} XCH</span></td>
-          <td><button class="xch-btn-remove" data-id="${order.id}">×</button></td>
+          <td>
+            <button class="xch-btn-icon xch-btn-edit" data-id="${escapeHtml(order.id)}" title="Edit">✎</button>
+            <button class="xch-btn-icon xch-btn-pause" data-id="${escapeHtml(order.id)}" title="${isPaused ? 'Resume' : 'Pause'}">${isPaused ? '▶' : '⏸'}</button>
+            <button class="xch-btn-remove" data-id="${escapeHtml(order.id)}">×</button>
+          </td>
         </tr>
       `}).join('');
 
@@ -1116,6 +2648,41 @@
           removeOrder(btn.dataset.id);
         });
       });
+
+      pendingContainer.querySelectorAll('.xch-btn-edit').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          editingOrderId = btn.dataset.id;
+          renderOrders();
+        });
+      });
+
+      pendingContainer.querySelectorAll('.xch-btn-edit-cancel').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          editingOrderId = null;
+          renderOrders();
+        });
+      });
+
+      pendingContainer.querySelectorAll('.xch-btn-edit-save').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          const row = btn.closest('tr');
+          updateOrder(btn.dataset.id, {
+            amount: parseFloat(row.querySelector('.xch-edit-amount').value),
+            targetPrice: parseFloat(row.querySelector('.xch-edit-target').value),
+            priceBasis: row.querySelector('.xch-edit-basis').value
+          });
+        });
+      });
+
+      pendingContainer.querySelectorAll('.xch-btn-pause').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          toggleOrderPaused(btn.dataset.id);
+        });
+      });
     }
 
     // Render filled orders
@@ -1123,61 +2690,625 @@
       filledContainer.innerHTML = '<div style="color: #6b7280; padding: 12px; text-align: center;">No filled orders</div>';
     } else {
       const filledRows = filledOrders.map(order => {
-        const priceForCalc = order.executedPrice || order.targetPrice;
+        const priceForCalc = order.effectivePrice || order.executedPrice || order.targetPrice;
         const xchAmount = (order.amount / priceForCalc).toFixed(4);
 
-        let priceDisplay;
-        if (order.executedPrice && order.executedPrice < order.targetPrice) {
-          priceDisplay = `<span class="xch-order-target">$${order.executedPrice.toFixed(2)}</span> <span class="xch-order-target-original">(target: $${order.targetPrice.toFixed(2)})</span>`;
-        } else {
-          priceDisplay = `<span class="xch-order-target">$${order.targetPrice.toFixed(2)}</span>`;
+        // Headline rate at fill, effective price (after fees) when vault's quote was captured
+        const headlinePrice = order.executedPrice || order.targetPrice;
+        const targetLabel = `target: $${order.targetPrice.toFixed(2)}${isEffectiveBasis(order) ? ' after fees' : ''}`;
+        const basisPrice = isEffectiveBasis(order) && order.effectivePrice ? order.effectivePrice : headlinePrice;
+        let priceDisplay = `<span class="xch-order-target">$${headlinePrice.toFixed(2)}</span>`;
+        if (basisPrice < order.targetPrice) {
+          priceDisplay += ` <span class="xch-order-target-original">(${targetLabel})</span>`;
         }
+        priceDisplay += order.effectivePrice
+          ? `<div class="xch-order-effective">$${order.effectivePrice.toFixed(4)} after fees</div>`
+          : '<div class="xch-order-effective">after fees: --</div>';
+
+        const filledAtDisplay = order.filledAt ? formatFilledAt(order.filledAt) : '--';
+
+        const vaultOrderDisplay = formatVaultOrder(order, '--');
+
+        return `
+        <tr data-id="${escapeHtml(order.id)}">
+          <td><span class="xch-order-amount">$${order.amount.toFixed(2)}</span></td>
+          <td>${priceDisplay}</td>
+          <td><span class="xch-order-xch">${xchAmount} XCH</span></td>
+          <td>${vaultOrderDisplay}${order.vaultStatus ? ` <span class="xch-order-vault-status">${escapeHtml(order.vaultStatus.replace('_', ' '))}</span>` : ''}</td>
+          <td><span class="xch-order-filled-at">${filledAtDisplay}</span></td>
+        </tr>
+      `}).join('');
+
+      filledContainer.innerHTML = `
+        <table class="xch-orders-table">
+          <thead>
+            <tr>
+              <th>Amount</th>
+              <th>Filled Price</th>
+              <th>≈XCH Amount</th>
+              <th>Order #</th>
+              <th>Filled At</th>
+            </tr>
+          </thead>
+          <tbody>${filledRows}</tbody>
+        </table>
+      `;
+    }
+
+    renderExpiredOrders();
+    renderSimulatedOrders();
+    renderRefundedOrders();
+    renderFailedOrders();
+    renderReviewOrders();
+    applyStandbyControls();
+    renderDcaSchedules();
+
+    // Target lines on the chart follow the pending orders
+    renderPriceChart();
+  }
+
+  function renderExpiredOrders() {
+    const expiredContainer = document.getElementById('xch-orders-expired-list');
+    if (!expiredContainer) return;
+
+    const expiredOrders = settings.orders.filter(o => o.status === 'expired');
+    const tabExpiredCount = document.getElementById('xch-tab-expired-count');
+    if (tabExpiredCount) tabExpiredCount.textContent = expiredOrders.length;
+
+    if (expiredOrders.length === 0) {
+      expiredContainer.innerHTML = '<div style="color: #6b7280; padding: 12px; text-align: center;">No expired orders</div>';
+      return;
+    }
+
+    const rows = expiredOrders.map(order => `
+      <tr data-id="${escapeHtml(order.id)}">
+        <td><span class="xch-order-amount">$${order.amount.toFixed(2)}</span></td>
+        <td><span class="xch-order-target">$${order.targetPrice.toFixed(2)}</span></td>
+        <td><span class="xch-order-filled-at">${formatFilledAt(order.expiresAt)}</span></td>
+        <td><button class="xch-btn-remove" data-id="${escapeHtml(order.id)}">×</button></td>
+      </tr>
+    `).join('');
+
+    expiredContainer.innerHTML = `
+      <table class="xch-orders-table">
+        <thead>
+          <tr>
+            <th>Amount</th>
+            <th>Target Price</th>
+            <th>Expired At</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+
+    expiredContainer.querySelectorAll('.xch-btn-remove').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        removeOrder(btn.dataset.id);
+      });
+    });
+  }
+
+  function renderSimulatedOrders() {
+    const simulatedContainer = document.getElementById('xch-orders-simulated-list');
+    if (!simulatedContainer) return;
+
+    const simulatedOrders = settings.orders.filter(o => o.status === 'simulated');
+    const tabSimulatedCount = document.getElementById('xch-tab-simulated-count');
+    if (tabSimulatedCount) tabSimulatedCount.textContent = simulatedOrders.length;
+
+    if (simulatedOrders.length === 0) {
+      simulatedContainer.innerHTML = '<div style="color: #6b7280; padding: 12px; text-align: center;">No simulated orders</div>';
+      return;
+    }
+
+    const rows = simulatedOrders.map(order => `
+      <tr data-id="${escapeHtml(order.id)}">
+        <td><span class="xch-order-amount">$${order.amount.toFixed(2)}</span></td>
+        <td><span class="xch-order-target">$${order.executedPrice.toFixed(2)}</span> <span class="xch-order-target-original">(target: $${order.targetPrice.toFixed(2)})</span></td>
+        <td><span class="xch-order-xch">${(order.amount / order.executedPrice).toFixed(4)} XCH</span></td>
+        <td><span class="xch-order-filled-at">${formatFilledAt(order.filledAt)}</span></td>
+        <td>
+          ${order.scheduleId ? '' : `<button class="xch-btn-icon xch-btn-requeue" data-id="${escapeHtml(order.id)}" title="Back to pending">↺</button>`}
+          <button class="xch-btn-remove" data-id="${escapeHtml(order.id)}">×</button>
+        </td>
+      </tr>
+    `).join('');
+
+    simulatedContainer.innerHTML = `
+      <table class="xch-orders-table">
+        <thead>
+          <tr>
+            <th>Amount</th>
+            <th>Simulated Price</th>
+            <th>≈XCH Amount</th>
+            <th>Simulated At</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+
+    simulatedContainer.querySelectorAll('.xch-btn-requeue').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        requeueOrder(btn.dataset.id, 'simulated');
+      });
+    });
+
+    simulatedContainer.querySelectorAll('.xch-btn-remove').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        removeOrder(btn.dataset.id);
+      });
+    });
+  }
+
+  function renderRefundedOrders() {
+    const refundedContainer = document.getElementById('xch-orders-refunded-list');
+    if (!refundedContainer) return;
+
+    const refundedOrders = settings.orders.filter(o => o.status === 'refunded');
+    const tabRefundedCount = document.getElementById('xch-tab-refunded-count');
+    if (tabRefundedCount) tabRefundedCount.textContent = refundedOrders.length;
+
+    if (refundedOrders.length === 0) {
+      refundedContainer.innerHTML = '<div style="color: #6b7280; padding: 12px; text-align: center;">No refunded orders</div>';
+      return;
+    }
+
+    const rows = refundedOrders.map(order => {
+      const vaultOrderDisplay = formatVaultOrder(order, '<span class="xch-vault-order-id">-</span>');
+      return `
+      <tr data-id="${escapeHtml(order.id)}">
+        <td><span class="xch-order-amount">$${order.amount.toFixed(2)}</span></td>
+        <td><span class="xch-order-target">$${order.targetPrice.toFixed(2)}</span></td>
+        <td>${vaultOrderDisplay} <span class="xch-order-vault-status">${escapeHtml(order.vaultStatus || '')}</span></td>
+        <td><span class="xch-order-filled-at">${formatFilledAt(order.refundedAt)}</span></td>
+        <td>
+          ${order.scheduleId ? '' : `<button class="xch-btn-icon xch-btn-requeue" data-id="${escapeHtml(order.id)}" title="Back to pending">↺</button>`}
+          <button class="xch-btn-remove" data-id="${escapeHtml(order.id)}">×</button>
+        </td>
+      </tr>
+    `;
+    }).join('');
+
+    refundedContainer.innerHTML = `
+      <table class="xch-orders-table">
+        <thead>
+          <tr>
+            <th>Amount</th>
+            <th>Target Price</th>
+            <th>Vault Order</th>
+            <th>Refunded At</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+
+    refundedContainer.querySelectorAll('.xch-btn-requeue').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        requeueOrder(btn.dataset.id, 'refunded');
+      });
+    });
+
+    refundedContainer.querySelectorAll('.xch-btn-remove').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        removeOrder(btn.dataset.id);
+      });
+    });
+  }
+
+  function renderFailedOrders() {
+    const failedContainer = document.getElementById('xch-orders-failed-list');
+    if (!failedContainer) return;
+
+    const failedOrders = settings.orders.filter(o => o.status === 'failed');
+    const tabFailedCount = document.getElementById('xch-tab-failed-count');
+    if (tabFailedCount) tabFailedCount.textContent = failedOrders.length;
+
+    if (failedOrders.length === 0) {
+      failedContainer.innerHTML = '<div style="color: #6b7280; padding: 12px; text-align: center;">No failed orders</div>';
+      return;
+    }
+
+    const rows = failedOrders.map(order => `
+      <tr data-id="${escapeHtml(order.id)}">
+        <td><span class="xch-order-amount">$${order.amount.toFixed(2)}</span></td>
+        <td><span class="xch-order-target">$${order.targetPrice.toFixed(2)}</span></td>
+        <td><span class="xch-order-error">${Number(order.attempts) || 0}× ${escapeHtml(order.lastError || 'unknown error')}</span></td>
+        <td><span class="xch-order-filled-at">${formatFilledAt(order.failedAt)}</span></td>
+        <td>
+          <button class="xch-btn-icon xch-btn-requeue" data-id="${escapeHtml(order.id)}" title="Back to pending">↺</button>
+          <button class="xch-btn-remove" data-id="${escapeHtml(order.id)}">×</button>
+        </td>
+      </tr>
+    `).join('');
+
+    failedContainer.innerHTML = `
+      <table class="xch-orders-table">
+        <thead>
+          <tr>
+            <th>Amount</th>
+            <th>Target Price</th>
+            <th>Last Error</th>
+            <th>Failed At</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+
+    failedContainer.querySelectorAll('.xch-btn-requeue').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        requeueOrder(btn.dataset.id, 'failed');
+      });
+    });
+
+    failedContainer.querySelectorAll('.xch-btn-remove').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        removeOrder(btn.dataset.id);
+      });
+    });
+  }
+
+  function renderReviewOrders() {
+    const reviewContainer = document.getElementById('xch-orders-review-list');
+    if (!reviewContainer) return;
+
+    const reviewOrders = settings.orders.filter(o => o.status === 'review');
+    const tabReviewCount = document.getElementById('xch-tab-review-count');
+    if (tabReviewCount) tabReviewCount.textContent = reviewOrders.length;
+
+    if (reviewOrders.length === 0) {
+      reviewContainer.innerHTML = '<div style="color: #6b7280; padding: 12px; text-align: center;">No orders to review</div>';
+      return;
+    }
+
+    const rows = reviewOrders.map(order => `
+      <tr data-id="${escapeHtml(order.id)}">
+        <td><span class="xch-order-amount">$${order.amount.toFixed(2)}</span></td>
+        <td><span class="xch-order-target">$${order.reviewPrice.toFixed(2)}</span> <span class="xch-order-target-original">(target: $${order.targetPrice.toFixed(2)})</span></td>
+        <td><span class="xch-order-error">${escapeHtml(order.reviewReason)}</span></td>
+        <td><span class="xch-order-filled-at">${formatFilledAt(order.reviewAt)}</span></td>
+        <td>
+          <button class="xch-btn-icon xch-btn-confirm-fill" data-id="${escapeHtml(order.id)}" title="Bought - mark filled">✓</button>
+          ${order.scheduleId ? '' : `<button class="xch-btn-icon xch-btn-requeue" data-id="${escapeHtml(order.id)}" title="Not bought - back to pending">↺</button>`}
+          <button class="xch-btn-remove" data-id="${escapeHtml(order.id)}">×</button>
+        </td>
+      </tr>
+    `).join('');
+
+    reviewContainer.innerHTML = `
+      <div class="xch-review-note">A buy was interrupted after the final click. Check vault's Your Orders, then mark each order filled or put it back to pending.</div>
+      <table class="xch-orders-table">
+        <thead>
+          <tr>
+            <th>Amount</th>
+            <th>Price</th>
+            <th>Reason</th>
+            <th>Clicked At</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+
+    reviewContainer.querySelectorAll('.xch-btn-confirm-fill').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        confirmReviewedOrder(btn.dataset.id);
+      });
+    });
+
+    reviewContainer.querySelectorAll('.xch-btn-requeue').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        requeueOrder(btn.dataset.id, 'review');
+      });
+    });
+
+    reviewContainer.querySelectorAll('.xch-btn-remove').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        removeOrder(btn.dataset.id);
+      });
+    });
+  }
+
+  function renderDcaSchedules() {
+    const dcaContainer = document.getElementById('xch-orders-dca-list');
+    if (!dcaContainer) return;
+
+    const schedules = getDcaSchedules();
+    const tabDcaCount = document.getElementById('xch-tab-dca-count');
+    if (tabDcaCount) tabDcaCount.textContent = schedules.length;
+
+    if (schedules.length === 0) {
+      dcaContainer.innerHTML = '<div style="color: #6b7280; padding: 12px; text-align: center;">No DCA schedules</div>';
+      return;
+    }
+
+    const rows = schedules.map(schedule => {
+      const runs = settings.orders.filter(o => o.scheduleId === schedule.id && o.status === 'executed').length;
+      const skipped = (schedule.skippedRuns || []).length;
+      const lastSkip = skipped > 0 ? schedule.skippedRuns[skipped - 1] : null;
+      const skippedDisplay = lastSkip
+        ? `<span class="xch-order-filled-at" title="Last: ${escapeHtml(lastSkip.reason)}">${skipped} skipped</span>`
+        : '';
+      return `
+        <tr data-id="${escapeHtml(schedule.id)}">
+          <td><span class="xch-order-amount">$${schedule.amount.toFixed(2)}</span></td>
+          <td><span class="xch-order-target">${formatDcaSchedule(schedule)}</span></td>
+          <td><span class="xch-order-filled-at">${formatFilledAt(schedule.nextRunAt)}</span></td>
+          <td><span class="xch-order-xch">${runs}</span> ${skippedDisplay}</td>
+          <td><button class="xch-btn-remove" data-id="${escapeHtml(schedule.id)}">×</button></td>
+        </tr>
+      `;
+    }).join('');
+
+    dcaContainer.innerHTML = `
+      <table class="xch-orders-table">
+        <thead>
+          <tr>
+            <th>Amount</th>
+            <th>Schedule</th>
+            <th>Next Run</th>
+            <th>Runs</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+
+    dcaContainer.querySelectorAll('.xch-btn-remove').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        removeOrder(btn.dataset.id);
+      });
+    });
+  }
+
+  /**
+   * Render the price history as an SVG line chart
+   * Pending order targets are drawn as dashed horizontal lines
+   */
+  function renderPriceChart() {
+    const chartContainer = document.getElementById('xch-price-chart');
+    if (!chartContainer) return;
+
+    const summaryEl = document.getElementById('xch-price-chart-summary');
+
+    if (priceHistory.length === 0) {
+      chartContainer.innerHTML = '<div style="color: #6b7280; padding: 12px; text-align: center;">No price history yet</div>';
+      if (summaryEl) summaryEl.textContent = '';
+      return;
+    }
+
+    const width = 600;
+    const height = 150;
+    const padLeft = 48;
+    const padRight = 8;
+    const padTop = 8;
+    const padBottom = 18;
+
+    const prices = priceHistory.map(p => p.price);
+    const targets = [...new Set(getPendingOrders().map(o => o.targetPrice))];
+    let minY = Math.min(...prices, ...targets);
+    let maxY = Math.max(...prices, ...targets);
+    if (maxY - minY < 0.01) {
+      minY -= 0.05;
+      maxY += 0.05;
+    }
+    const margin = (maxY - minY) * 0.05;
+    minY -= margin;
+    maxY += margin;
+
+    const firstTime = priceHistory[0].timestamp;
+    const lastTime = priceHistory[priceHistory.length - 1].timestamp;
+    const timeSpan = Math.max(lastTime - firstTime, 1);
+
+    const x = (timestamp) => padLeft + ((timestamp - firstTime) / timeSpan) * (width - padLeft - padRight);
+    const y = (price) => padTop + ((maxY - price) / (maxY - minY)) * (height - padTop - padBottom);
+
+    const points = priceHistory.length === 1
+      ? `${padLeft},${y(prices[0]).toFixed(1)} ${width - padRight},${y(prices[0]).toFixed(1)}`
+      : priceHistory.map(p => `${x(p.timestamp).toFixed(1)},${y(p.price).toFixed(1)}`).join(' ');
+
+    const targetLines = targets.map(target => {
+      const ty = y(target).toFixed(1);
+      return `
+        <line x1="${padLeft}" y1="${ty}" x2="${width - padRight}" y2="${ty}" stroke="#fbbf24" stroke-width="1" stroke-dasharray="4 3" opacity="0.8" />
+        <text x="${width - padRight - 2}" y="${(y(target) - 2).toFixed(1)}" fill="#fbbf24" font-size="9" text-anchor="end">$${target.toFixed(2)}</text>
+      `;
+    }).join('');
+
+    const formatTime = (timestamp) => new Date(timestamp).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+
+    chartContainer.innerHTML = `
+      <svg viewBox="0 0 ${width} ${height}" width="100%" preserveAspectRatio="xMidYMid meet" style="display: block;">
+        <rect x="${padLeft}" y="${padTop}" width="${width - padLeft - padRight}" height="${height - padTop - padBottom}" fill="#0f172a" stroke="#334155" />
+        <text x="${padLeft - 4}" y="${padTop + 8}" fill="#9ca3af" font-size="9" text-anchor="end">$${maxY.toFixed(2)}</text>
+        <text x="${padLeft - 4}" y="${height - padBottom}" fill="#9ca3af" font-size="9" text-anchor="end">$${minY.toFixed(2)}</text>
+        <text x="${padLeft}" y="${height - 4}" fill="#6b7280" font-size="9">${formatTime(firstTime)}</text>
+        <text x="${width - padRight}" y="${height - 4}" fill="#6b7280" font-size="9" text-anchor="end">${formatTime(lastTime)}</text>
+        ${targetLines}
+        <polyline points="${points}" fill="none" stroke="#38bdf8" stroke-width="1.5" />
+      </svg>
+    `;
+
+    if (summaryEl) {
+      const latest = prices[prices.length - 1];
+      summaryEl.textContent = `${prices.length} readings · Low $${Math.min(...prices).toFixed(2)} · High $${Math.max(...prices).toFixed(2)} · Last $${latest.toFixed(2)}`;
+    }
+  }
+
+  function refreshPriceDisplay() {
+    const currentPrice = getCurrentPrice();
+    if (currentPrice !== null) {
+      updatePriceDisplay(currentPrice);
+      persistCurrentPrice(currentPrice, 'display');
+    }
+  }
+
+  // ============================================
+  // EXECUTOR LEASE
+  // ============================================
+
+  // Well inside the background's lease TTL, even when a hidden tab's timers are throttled
+  const LEASE_HEARTBEAT_MS = 30000;
+
+  // Read-only actions left enabled on a standby toolbar
+  const STANDBY_ENABLED_CONTROLS = '.xch-tab, #xch-btn-export-csv, #xch-btn-export-koinly, #xch-btn-export-settings, #xch-btn-save-logs';
+
+  // Only the tab holding the background's executor lease checks prices and buys;
+  // other vault tabs show a read-only standby toolbar and take over when it goes away
+  let isExecutor = false;
+  // Set once this tab is shown as standby; renders before the first claim leave controls alone
+  let inStandby = false;
+  let leaseExpiresAt = 0;
+  let leaseHeartbeat = null;
+  let leaseCheckInFlight = false;
+
+  /**
+   * Claim or renew the lease
+   * A tab that isn't executing only renews a lease it already holds (its own reload) while a
+   * journaled buy is recent: that buy may still be running in the old executor tab
+   * @returns {Promise<boolean>} true if this tab is the executor
+   */
+  async function claimExecutorLease() {
+    try {
+      const renewOnly = !isExecutor && isJournalActive(await Storage.get('executionJournal', null));
+      const response = await browserAPI.runtime.sendMessage({ type: 'CLAIM_LEASE', renewOnly });
+      if (!response || response.error) throw new Error(response?.error || 'no response');
+      leaseExpiresAt = response.leader ? response.expiresAt : 0;
+      return response.leader === true;
+    } catch (e) {
+      // Background unreachable: keep what we had until the last renewal runs out
+      console.error('[Content] Error claiming executor lease:', e);
+      return isExecutor && Date.now() < leaseExpiresAt;
+    }
+  }
+
+  function startLeaseHeartbeat() {
+    if (leaseHeartbeat) clearInterval(leaseHeartbeat);
+    leaseHeartbeat = setInterval(checkExecutorLease, LEASE_HEARTBEAT_MS);
+  }
+
+  /**
+   * Heartbeat: renew the lease, take over when the executor tab is gone, or step down when
+   * another tab holds it. A buy under way stamps its journal so no tab takes over mid-buy,
+   * and the executor never steps down before the buy is settled
+   */
+  async function checkExecutorLease() {
+    if (leaseCheckInFlight) return;
+    leaseCheckInFlight = true;
+    try {
+      if (isExecutor && STATE.buyProcessStarted) {
+        await updateExecutionJournal({ heartbeatAt: Date.now() });
+      }
+      const leader = await claimExecutorLease();
+      if (leader && !isExecutor) {
+        log('Executor vault tab is gone - this tab takes over');
+        await takeOverAsExecutor();
+      } else if (!leader && isExecutor && STATE.buyProcessStarted) {
+        logWarn('Executor lease lost during a buy - finishing it before switching to standby');
+      } else if (!leader && isExecutor) {
+        logWarn('Another vault tab holds the executor lease - switching to standby');
+        isExecutor = false;
+        stopCountdownTimer();
+        enterStandby();
+      }
+    } finally {
+      leaseCheckInFlight = false;
+    }
+  }
+
+  /**
+   * Pick up from the previous executor: reload everything it may have changed, then run the
+   * same checks as a fresh page load
+   */
+  async function takeOverAsExecutor() {
+    isExecutor = true;
+    inStandby = false;
+    await loadSettings();
+    await loadPriceHistory();
+    await loadFeeQuote();
+    await loadExecutionJournal();
 
-        const filledAtDisplay = order.filledAt ? formatFilledAt(order.filledAt) : '--';
+    const persistedState = await getPersistedState();
+    STATE.isRunning = persistedState.isRunning || false;
+    STATE.totalSpent = calculateTotalSpent();
+    STATE.ordersExecuted = getExecutedOrders().length;
 
-        // Vault order link
-        let vaultOrderDisplay;
-        if (order.vaultOrderId && order.vaultOrderUrl) {
-          vaultOrderDisplay = `<a href="${order.vaultOrderUrl}" target="_blank" class="xch-vault-order-link">${order.vaultOrderId}</a>`;
-        } else if (order.vaultOrderId) {
-          vaultOrderDisplay = `<span class="xch-vault-order-id">${order.vaultOrderId}</span>`;
-        } else {
-          vaultOrderDisplay = '--';
-        }
+    await createToolbar();
+    await loadFlowProfile();
+    updateStats();
+    refreshPriceDisplay();
+    updateBadge();
+    await startExecutor(STATE.isRunning, persistedState.buyProcessStarted || false);
+  }
 
-        return `
-        <tr data-id="${order.id}">
-          <td><span class="xch-order-amount">$${order.amount.toFixed(2)}</span></td>
-          <td>${priceDisplay}</td>
-          <td><span class="xch-order-xch">${xchAmount} XCH</span></td>
-          <td>${vaultOrderDisplay}</td>
-          <td><span class="xch-order-filled-at">${filledAtDisplay}</span></td>
-        </tr>
-      `}).join('');
+  /**
+   * Show the toolbar read-only: controls that change orders or settings are disabled
+   */
+  function enterStandby() {
+    const toolbar = document.getElementById('xch-limit-order-toolbar');
+    if (!toolbar) return;
+    inStandby = true;
+    toolbar.classList.add('xch-standby');
+    const banner = document.getElementById('xch-standby-banner');
+    if (banner) banner.style.display = '';
+    applyStandbyControls();
+    updateStatus('Standby');
+  }
 
-      filledContainer.innerHTML = `
-        <table class="xch-orders-table">
-          <thead>
-            <tr>
-              <th>Amount</th>
-              <th>Filled Price</th>
-              <th>≈XCH Amount</th>
-              <th>Order #</th>
-              <th>Filled At</th>
-            </tr>
-          </thead>
-          <tbody>${filledRows}</tbody>
-        </table>
-      `;
-    }
+  function applyStandbyControls() {
+    if (!inStandby) return;
+    document.querySelectorAll('#xch-toolbar-content input, #xch-toolbar-content select, #xch-toolbar-content button')
+      .forEach(el => {
+        if (!el.matches(STANDBY_ENABLED_CONTROLS)) el.disabled = true;
+      });
   }
 
-  function refreshPriceDisplay() {
-    const currentPrice = getCurrentPrice();
-    if (currentPrice !== null) {
-      updatePriceDisplay(currentPrice);
-      persistCurrentPrice(currentPrice);
-    }
+  /**
+   * Keep a standby toolbar in step with what the executor tab saves
+   */
+  function followExecutorChanges() {
+    if (!browserAPI.storage.onChanged) return;
+    browserAPI.storage.onChanged.addListener((changes, area) => {
+      if (isExecutor || area !== 'local') return;
+      if (changes.settings?.newValue) {
+        settings = changes.settings.newValue;
+        STATE.totalSpent = calculateTotalSpent();
+        STATE.ordersExecuted = getExecutedOrders().length;
+        document.getElementById('xch-header-budget').textContent = settings.maxBudget > 0 ? `$${settings.maxBudget}` : 'Not Set';
+        document.getElementById('xch-header-refresh').textContent = `${settings.refreshInterval}m`;
+        document.getElementById('xch-refresh-strategy').value = getRefreshStrategy(settings);
+        renderOrders();
+        updateStats();
+      }
+      if (changes.runningState?.newValue) {
+        STATE.isRunning = changes.runningState.newValue.isRunning || false;
+      }
+    });
   }
 
   // ============================================
@@ -1190,11 +3321,23 @@
     (async () => {
       try {
         switch (message.action) {
+          case 'LEASE_AVAILABLE':
+            await checkExecutorLease();
+            sendResponse({ success: true, isExecutor });
+            break;
           case 'START':
+            if (!isExecutor) {
+              sendResponse({ error: 'Standby tab - another vault tab executes orders' });
+              break;
+            }
             await startMonitoring();
             sendResponse({ success: true, isRunning: STATE.isRunning });
             break;
           case 'STOP':
+            if (!isExecutor) {
+              sendResponse({ error: 'Standby tab - another vault tab executes orders' });
+              break;
+            }
             await stopMonitoring();
             sendResponse({ success: true, isRunning: STATE.isRunning });
             break;
@@ -1221,6 +3364,10 @@
   // ============================================
   // TOOLBAR UI
   // ============================================
+
+  // Pending order currently shown with inline edit inputs
+  let editingOrderId = null;
+
   async function createToolbar() {
     const existing = document.getElementById('xch-limit-order-toolbar');
     if (existing) existing.remove();
@@ -1263,6 +3410,8 @@
         .xch-header-stat { font-size: 11px; font-weight: 400; color: #9ca3af; }
         .xch-header-stat span { font-weight: 600; color: #e5e5e5; }
         #xch-countdown { display: inline-block; min-width: 50px; text-align: center; font-family: monospace; }
+        #xch-refresh-reason:not(:empty) { margin-left: 4px; font-weight: 400; color: #9ca3af; }
+        #xch-refresh-reason:not(:empty)::before { content: '· '; }
         #xch-status { color: #9ca3af !important; }
         #xch-toolbar-toggle { font-size: 18px; transition: transform 0.3s; }
         #xch-toolbar-content { padding: 12px 16px; display: flex; gap: 20px; }
@@ -1280,6 +3429,8 @@
         .xch-inline-group label { font-size: 11px; color: #6b7280; }
         .xch-inline-group input { background: #0f172a; border: 1px solid #334155; border-radius: 4px; padding: 4px 8px; color: #e5e5e5; font-size: 13px; width: 70px; }
         .xch-inline-group input:focus { outline: none; border-color: #4ade80; }
+        .xch-inline-group select { background: #0f172a; border: 1px solid #334155; border-radius: 4px; padding: 4px 6px; color: #e5e5e5; font-size: 13px; }
+        .xch-inline-group select:focus { outline: none; border-color: #4ade80; }
         .xch-btn { padding: 6px 12px; border: none; border-radius: 4px; cursor: pointer; font-weight: 600; font-size: 12px; transition: all 0.2s; }
         .xch-btn-start { background: #4ade80; color: #0f172a; }
         .xch-btn-start:hover { background: #22c55e; }
@@ -1292,6 +3443,21 @@
         .xch-btn-small { padding: 4px 8px; font-size: 11px; background: #475569; color: white; }
         .xch-btn-small:hover { background: #64748b; }
         .xch-log-actions { display: flex; gap: 8px; }
+        .xch-checkbox-label { display: flex; align-items: center; gap: 4px; font-size: 11px; color: #9ca3af; cursor: pointer; }
+        .xch-stats-grid { gap: 16px; }
+        .xch-stat { display: flex; flex-direction: column; gap: 2px; }
+        .xch-stat label { font-size: 10px; color: #6b7280; text-transform: uppercase; letter-spacing: 0.5px; }
+        .xch-stat span { font-weight: 600; color: #e5e5e5; }
+        #xch-import-preview { font-size: 11px; display: flex; flex-direction: column; gap: 4px; }
+        .xch-import-list { margin: 0; padding-left: 16px; color: #9ca3af; max-height: 80px; overflow-y: auto; }
+        #xch-health-check { display: flex; gap: 8px; flex-wrap: wrap; font-size: 11px; }
+        #xch-health-check:empty::before { content: 'Not checked yet'; color: #6b7280; font-style: italic; }
+        .xch-health-item { padding: 2px 8px; border-radius: 4px; background: #0f172a; border: 1px solid #334155; }
+        .xch-health-ok { color: #4ade80; }
+        .xch-health-warn { color: #fbbf24; }
+        .xch-health-fail { color: #ef4444; border-color: #ef4444; }
+        #xch-flow-status { font-size: 11px; color: #9ca3af; display: flex; flex-direction: column; gap: 4px; }
+        .xch-flow-errors { color: #f87171; }
         #xch-log-container { max-height: 100px; overflow-y: auto; font-family: monospace; font-size: 11px; color: #9ca3af; background: #0f172a; padding: 6px 10px; border-radius: 4px; flex: 1; min-width: 300px; width: 100%; }
         #xch-orders-list { width: 100%; }
         #xch-orders-list:empty::before { content: 'No orders configured'; color: #6b7280; font-style: italic; display: block; padding: 8px 0; }
@@ -1305,38 +3471,62 @@
         .xch-order-amount { color: #4ade80; font-weight: 600; }
         .xch-order-target { color: #fbbf24; font-weight: 600; }
         .xch-order-target-original { color: #6b7280; font-size: 11px; font-weight: 400; }
+        .xch-order-trailing { color: #a78bfa; font-size: 11px; font-weight: 400; }
+        .xch-order-window { color: #6b7280; font-size: 11px; }
+        .xch-order-retry { color: #f87171; font-size: 11px; }
+        .xch-order-error { color: #f87171; font-size: 11px; }
+        .xch-review-note { color: #fbbf24; font-size: 11px; margin-bottom: 6px; }
+        .xch-order-basis { color: #fbbf24; font-size: 11px; font-weight: 400; }
+        .xch-order-effective { color: #9ca3af; font-size: 11px; font-weight: 400; }
+        .xch-edit-basis { margin-left: 4px; }
+        .xch-spend-caps-status { color: #9ca3af; font-size: 11px; margin-left: 8px; }
         .xch-order-xch { color: #38bdf8; font-weight: 600; }
         .xch-order-filled-at { color: #9ca3af; font-size: 11px; }
         .xch-vault-order-link { color: #4ade80; text-decoration: none; font-weight: 600; }
         .xch-vault-order-link:hover { text-decoration: underline; }
         .xch-vault-order-id { color: #9ca3af; }
+        .xch-order-vault-status { font-size: 10px; color: #9ca3af; text-transform: uppercase; }
         .xch-order-status { font-size: 11px; font-weight: 600; padding: 2px 8px; border-radius: 4px; display: inline-block; }
         .xch-order-status-pending { color: #9ca3af; background: #1e293b; }
         .xch-order-status-done { color: #22c55e; background: #14532d33; }
         .xch-btn-remove { background: transparent; border: none; color: #ef4444; cursor: pointer; font-size: 14px; padding: 4px 8px; line-height: 1; border-radius: 4px; }
         .xch-btn-remove:hover { color: #f87171; background: #7f1d1d33; }
+        .xch-btn-icon { background: transparent; border: none; color: #9ca3af; cursor: pointer; font-size: 13px; padding: 4px 6px; line-height: 1; border-radius: 4px; }
+        .xch-btn-icon:hover { color: #e5e5e5; background: #334155; }
+        .xch-orders-table tr.xch-order-paused td { opacity: 0.5; }
+        .xch-orders-table tr.xch-order-paused td:last-child { opacity: 1; }
+        .xch-orders-table input { background: #1e293b; border: 1px solid #334155; border-radius: 4px; padding: 2px 6px; color: #e5e5e5; font-size: 12px; width: 80px; }
         .xch-version { font-size: 10px; color: #6b7280; margin-left: 8px; }
+        .xch-dry-run-badge { font-size: 10px; font-weight: 700; color: #0f172a; background: #fbbf24; padding: 2px 6px; border-radius: 4px; letter-spacing: 0.5px; }
         .xch-orders-tabs { display: flex; gap: 4px; margin-bottom: 8px; }
         .xch-tab { background: #1e293b; border: 1px solid #334155; color: #9ca3af; padding: 6px 12px; border-radius: 4px 4px 0 0; cursor: pointer; font-size: 12px; font-weight: 500; transition: all 0.2s; }
         .xch-tab:hover { background: #334155; color: #e5e5e5; }
         .xch-tab.active { background: #0f172a; border-bottom-color: #0f172a; color: #4ade80; }
         .xch-tab-content { display: none; }
         .xch-tab-content.active { display: block; }
+        #xch-price-chart { width: 100%; }
+        .xch-chart-footer { display: flex; justify-content: space-between; align-items: center; width: 100%; }
+        #xch-price-chart-summary { font-size: 11px; color: #9ca3af; }
+        #xch-standby-banner { padding: 6px 16px; background: #422006; color: #fbbf24; font-size: 12px; }
+        #xch-limit-order-toolbar.xch-standby { border-top-color: #fbbf24; }
+        .xch-standby #xch-toolbar-content button:disabled, .xch-standby #xch-toolbar-content input:disabled, .xch-standby #xch-toolbar-content select:disabled { opacity: 0.5; cursor: not-allowed; }
       </style>
 
       <div id="xch-toolbar-header">
         <div id="xch-toolbar-title">
           <span>XCH ACH Limit Orders <span class="xch-version">Extension v1.0</span></span>
           <span class="xch-header-stat">Status: <span id="xch-status" style="color: #ef4444;">Stopped</span></span>
+          <span class="xch-dry-run-badge" id="xch-dry-run-badge"${settings.dryRun ? '' : ' style="display: none;"'}>DRY RUN</span>
           <span class="xch-header-stat">Price: <span id="xch-current-price">--</span></span>
           <span class="xch-header-stat">Budget: <span id="xch-header-budget">${settings.maxBudget > 0 ? '$' + settings.maxBudget : 'Not Set'}</span></span>
-          <span class="xch-header-stat">Refresh: <span id="xch-header-refresh">${settings.refreshInterval}m</span> (<span id="xch-countdown">--</span>)</span>
+          <span class="xch-header-stat">Refresh: <span id="xch-header-refresh">${settings.refreshInterval}m</span> (<span id="xch-countdown">--</span>)<span id="xch-refresh-reason"></span></span>
           <span class="xch-header-stat">Pending: <span id="xch-orders-pending">${settings.orders.filter(o => o.status === 'pending').length}</span></span>
           <span class="xch-header-stat">Executed: <span id="xch-orders-executed">${settings.orders.filter(o => o.status === 'executed').length}</span></span>
           <span class="xch-header-stat">Spent: <span id="xch-total-spent">$0.00</span></span>
         </div>
         <span id="xch-toolbar-toggle">v</span>
       </div>
+      <div id="xch-standby-banner" style="display: none;">Standby: another vault tab is executing orders. This toolbar is read-only and takes over if that tab closes.</div>
 
       <div id="xch-toolbar-content">
         <div class="xch-column xch-column-left">
@@ -1344,24 +3534,138 @@
             <div class="xch-row-label">New Order</div>
             <div class="xch-row-content">
               <div class="xch-inline-group">
-                <label>Target Price ($)</label>
+                <label>Type</label>
+                <select id="xch-new-type">
+                  <option value="limit">Limit</option>
+                  <option value="trailing">Trailing</option>
+                </select>
+              </div>
+              <div class="xch-inline-group">
+                <label id="xch-new-target-label">Target Price ($)</label>
                 <input type="number" id="xch-new-target" placeholder="0.00" min="0.01" step="0.01">
               </div>
+              <div class="xch-inline-group" title="Compare the target with the page's headline rate or with USD paid per XCH received after fees">
+                <label>Price Basis</label>
+                <select id="xch-new-basis">
+                  <option value="headline">Headline</option>
+                  <option value="effective">After fees</option>
+                </select>
+              </div>
               <div class="xch-inline-group">
                 <label>Amount ($)</label>
                 <input type="number" id="xch-new-amount" placeholder="0" min="1" step="1">
               </div>
+              <div class="xch-inline-group" id="xch-new-trail-group" style="display: none;">
+                <label>Rebound</label>
+                <input type="number" id="xch-new-trail" placeholder="0" min="0.01" step="0.01">
+                <select id="xch-new-trail-unit">
+                  <option value="percent">%</option>
+                  <option value="usd">$</option>
+                </select>
+              </div>
+              <div class="xch-inline-group">
+                <label>Active From</label>
+                <input type="datetime-local" id="xch-new-active-from" style="width: 170px;">
+              </div>
+              <div class="xch-inline-group">
+                <label>Expires</label>
+                <input type="datetime-local" id="xch-new-expires" style="width: 170px;">
+              </div>
               <button class="xch-btn xch-btn-add" id="xch-btn-add-order">Add Order</button>
             </div>
           </div>
+          <div class="xch-row">
+            <div class="xch-row-label">DCA Schedule</div>
+            <div class="xch-row-content">
+              <div class="xch-inline-group">
+                <label>Amount ($)</label>
+                <input type="number" id="xch-dca-amount" placeholder="0" min="${MIN_ORDER_AMOUNT}" step="1">
+              </div>
+              <div class="xch-inline-group">
+                <label>Every</label>
+                <select id="xch-dca-frequency">
+                  <option value="weekly">Week</option>
+                  <option value="daily">Day</option>
+                </select>
+                <select id="xch-dca-weekday">
+                  ${WEEKDAYS.map((day, i) => `<option value="${i}"${i === 1 ? ' selected' : ''}>${day}</option>`).join('')}
+                </select>
+              </div>
+              <div class="xch-inline-group">
+                <label>At</label>
+                <input type="time" id="xch-dca-time" value="09:00" style="width: 90px;">
+              </div>
+              <button class="xch-btn xch-btn-add" id="xch-btn-add-dca">Add Schedule</button>
+            </div>
+          </div>
+          <div class="xch-row">
+            <div class="xch-row-label">Ladder</div>
+            <div class="xch-row-content">
+              <div class="xch-inline-group">
+                <label>High ($)</label>
+                <input type="number" id="xch-ladder-high" placeholder="0.00" min="0.01" step="0.01">
+              </div>
+              <div class="xch-inline-group">
+                <label>Low ($)</label>
+                <input type="number" id="xch-ladder-low" placeholder="0.00" min="0.01" step="0.01">
+              </div>
+              <div class="xch-inline-group">
+                <label>Rungs</label>
+                <input type="number" id="xch-ladder-rungs" placeholder="10" min="2" step="1" style="width: 50px;">
+              </div>
+              <div class="xch-inline-group">
+                <label>Total ($)</label>
+                <input type="number" id="xch-ladder-total" placeholder="0" min="50" step="1">
+              </div>
+              <div class="xch-inline-group">
+                <select id="xch-ladder-distribution">
+                  <option value="flat">Flat</option>
+                  <option value="linear">Linear</option>
+                  <option value="geometric">Geometric</option>
+                  <option value="bottom">Weighted to bottom</option>
+                </select>
+              </div>
+              <button class="xch-btn xch-btn-small" id="xch-btn-ladder-preview">Preview</button>
+              <button class="xch-btn xch-btn-add" id="xch-btn-ladder-create">Create Ladder</button>
+              <div id="xch-ladder-preview" style="width: 100%;"></div>
+            </div>
+          </div>
           <div class="xch-row xch-row-orders">
             <div class="xch-row-content" style="flex-direction: column; align-items: stretch;">
               <div class="xch-orders-tabs">
                 <button class="xch-tab active" data-tab="pending">Pending (<span id="xch-tab-pending-count">0</span>)</button>
                 <button class="xch-tab" data-tab="filled">Filled (<span id="xch-tab-filled-count">0</span>)</button>
+                <button class="xch-tab" data-tab="expired">Expired (<span id="xch-tab-expired-count">0</span>)</button>
+                <button class="xch-tab" data-tab="dca">DCA (<span id="xch-tab-dca-count">0</span>)</button>
+                <button class="xch-tab" data-tab="simulated">Simulated (<span id="xch-tab-simulated-count">0</span>)</button>
+                <button class="xch-tab" data-tab="refunded">Refunded (<span id="xch-tab-refunded-count">0</span>)</button>
+                <button class="xch-tab" data-tab="failed">Failed (<span id="xch-tab-failed-count">0</span>)</button>
+                <button class="xch-tab" data-tab="review">Review (<span id="xch-tab-review-count">0</span>)</button>
               </div>
               <div id="xch-orders-pending-list" class="xch-tab-content active"></div>
-              <div id="xch-orders-filled-list" class="xch-tab-content"></div>
+              <div id="xch-orders-filled-list" class="xch-tab-content">
+                <div class="xch-log-actions" style="margin-bottom: 6px;">
+                  <button class="xch-btn xch-btn-small" id="xch-btn-export-csv" title="Date, quantity, price and cost basis per lot">Export CSV</button>
+                  <button class="xch-btn xch-btn-small" id="xch-btn-export-koinly" title="Koinly universal import template">Export Koinly CSV</button>
+                </div>
+                <div id="xch-orders-filled-table"></div>
+              </div>
+              <div id="xch-orders-expired-list" class="xch-tab-content"></div>
+              <div id="xch-orders-dca-list" class="xch-tab-content"></div>
+              <div id="xch-orders-simulated-list" class="xch-tab-content"></div>
+              <div id="xch-orders-refunded-list" class="xch-tab-content"></div>
+              <div id="xch-orders-failed-list" class="xch-tab-content"></div>
+              <div id="xch-orders-review-list" class="xch-tab-content"></div>
+            </div>
+          </div>
+          <div class="xch-row xch-row-orders">
+            <div class="xch-row-label">Price History</div>
+            <div class="xch-row-content" style="flex-direction: column; align-items: stretch; gap: 6px; width: 100%;">
+              <div id="xch-price-chart"></div>
+              <div class="xch-chart-footer">
+                <span id="xch-price-chart-summary"></span>
+                <button class="xch-btn xch-btn-small" id="xch-btn-clear-history">Clear</button>
+              </div>
             </div>
           </div>
         </div>
@@ -1378,7 +3682,169 @@
                 <label>Refresh (min)</label>
                 <input type="number" id="xch-refresh-interval" value="${settings.refreshInterval}" min="1" step="1">
               </div>
+              <div class="xch-inline-group" title="How the vault tab is refreshed: close and reopen it focused, reload it where it is, reopen it without taking focus, keep it in a pinned tab, or keep it in its own minimized window">
+                <label>Refresh Via</label>
+                <select id="xch-refresh-strategy">
+                  ${REFRESH_STRATEGIES.map(strategy => `<option value="${strategy}"${strategy === getRefreshStrategy(settings) ? ' selected' : ''}>${REFRESH_STRATEGY_LABELS[strategy]}</option>`).join('')}
+                </select>
+              </div>
+              <div class="xch-inline-group" title="How far the confirmation dialog's price (fees included) may exceed the highest target in a batch">
+                <label>Slippage (%)</label>
+                <input type="number" id="xch-max-slippage" value="${getMaxSlippagePct()}" min="0" step="0.1">
+              </div>
               <button class="xch-btn xch-btn-save" id="xch-btn-save">Save</button>
+              <label class="xch-checkbox-label" title="Run the full flow but never click the final Next; fills are recorded as simulated">
+                <input type="checkbox" id="xch-dry-run"${settings.dryRun ? ' checked' : ''}>
+                Dry run
+              </label>
+              <label class="xch-checkbox-label" title="When vault reports an order failed or cancelled, put it straight back to pending instead of the Refunded tab">
+                <input type="checkbox" id="xch-requeue-refunded"${settings.requeueRefunded ? ' checked' : ''}>
+                Re-queue refunds
+              </label>
+            </div>
+          </div>
+          <div class="xch-row">
+            <div class="xch-row-label">Price Guard</div>
+            <div class="xch-row-content" title="Readings failing these checks never trigger a buy; 0 turns a check off">
+              <div class="xch-inline-group">
+                <label>Max vs Median (%)</label>
+                <input type="number" id="xch-guard-deviation" min="0" step="1">
+              </div>
+              <div class="xch-inline-group">
+                <label>Max Jump (%)</label>
+                <input type="number" id="xch-guard-jump" min="0" step="1">
+              </div>
+              <div class="xch-inline-group">
+                <label>Min ($)</label>
+                <input type="number" id="xch-guard-min" min="0" step="0.01">
+              </div>
+              <div class="xch-inline-group">
+                <label>Max ($)</label>
+                <input type="number" id="xch-guard-max" min="0" step="0.01">
+              </div>
+              <div class="xch-inline-group">
+                <label>Large Batch ($)</label>
+                <input type="number" id="xch-guard-large" min="0" step="1">
+              </div>
+              <div class="xch-inline-group">
+                <label>Confirmations</label>
+                <input type="number" id="xch-guard-confirmations" min="1" step="1">
+              </div>
+              <button class="xch-btn xch-btn-small" id="xch-btn-save-guard">Save</button>
+            </div>
+          </div>
+          <div class="xch-row">
+            <div class="xch-row-label">Spend Caps</div>
+            <div class="xch-row-content" title="Limits on top of Max Budget; orders wait for the window to roll over instead of stopping monitoring. Empty or 0 turns a cap off">
+              <div class="xch-inline-group">
+                <label>24 Hours ($)</label>
+                <input type="number" id="xch-cap-daily" min="0" step="1" placeholder="Off">
+              </div>
+              <div class="xch-inline-group">
+                <label>7 Days ($)</label>
+                <input type="number" id="xch-cap-weekly" min="0" step="1" placeholder="Off">
+              </div>
+              <div class="xch-inline-group">
+                <label>Calendar Month ($)</label>
+                <input type="number" id="xch-cap-monthly" min="0" step="1" placeholder="Off">
+              </div>
+              <button class="xch-btn xch-btn-small" id="xch-btn-save-caps">Save</button>
+              <span class="xch-spend-caps-status" id="xch-spend-caps-status"></span>
+            </div>
+          </div>
+          <div class="xch-row">
+            <div class="xch-row-label">Retries</div>
+            <div class="xch-row-content" title="After a step timeout or buy error an order waits out a backoff that doubles per failure, then moves to the Failed tab">
+              <div class="xch-inline-group">
+                <label>Attempts</label>
+                <input type="number" id="xch-retry-attempts" min="0" step="1" placeholder="0 = unlimited">
+              </div>
+              <div class="xch-inline-group">
+                <label>Backoff (min)</label>
+                <input type="number" id="xch-retry-backoff" min="0" step="1">
+              </div>
+              <div class="xch-inline-group">
+                <label>Max Backoff (min)</label>
+                <input type="number" id="xch-retry-max-backoff" min="0" step="1">
+              </div>
+              <button class="xch-btn xch-btn-small" id="xch-btn-save-retry">Save</button>
+            </div>
+          </div>
+          <div class="xch-row">
+            <div class="xch-row-label">Adaptive</div>
+            <div class="xch-row-content" title="Refresh at the floor within the band above the nearest pending target and slower the further price is from it, up to the ceiling. Replaces the fixed refresh interval while on">
+              <label class="xch-checkbox-label">
+                <input type="checkbox" id="xch-adaptive-enabled">
+                On
+              </label>
+              <div class="xch-inline-group">
+                <label>Floor (min)</label>
+                <input type="number" id="xch-adaptive-min" min="0.5" step="0.5">
+              </div>
+              <div class="xch-inline-group">
+                <label>Ceiling (min)</label>
+                <input type="number" id="xch-adaptive-max" min="1" step="1">
+              </div>
+              <div class="xch-inline-group">
+                <label>Band (%)</label>
+                <input type="number" id="xch-adaptive-band" min="0" step="0.5">
+              </div>
+              <div class="xch-inline-group">
+                <label>Max / Hour</label>
+                <input type="number" id="xch-adaptive-per-hour" min="0" step="1" placeholder="0 = no cap">
+              </div>
+              <button class="xch-btn xch-btn-small" id="xch-btn-save-adaptive">Save</button>
+            </div>
+          </div>
+          <div class="xch-row">
+            <div class="xch-row-label">Notify</div>
+            <div class="xch-row-content">
+              ${Object.entries(NOTIFICATION_EVENTS).map(([event, label]) => `
+                <label class="xch-checkbox-label">
+                  <input type="checkbox" class="xch-notify-toggle" data-event="${event}"${isNotificationEnabled(event) ? ' checked' : ''}>
+                  ${label}
+                </label>
+              `).join('')}
+            </div>
+          </div>
+          <div class="xch-row">
+            <div class="xch-row-label">Portfolio</div>
+            <div class="xch-row-content xch-stats-grid">
+              <div class="xch-stat"><label>XCH Acquired</label><span id="xch-stat-xch">--</span></div>
+              <div class="xch-stat"><label>Avg Fill Price</label><span id="xch-stat-avg-price">--</span></div>
+              <div class="xch-stat"><label>Value</label><span id="xch-stat-value">--</span></div>
+              <div class="xch-stat"><label>Unrealized P/L</label><span id="xch-stat-pnl">--</span></div>
+              <div class="xch-stat"><label>Saved vs Target</label><span id="xch-stat-savings">--</span></div>
+            </div>
+          </div>
+          <div class="xch-row">
+            <div class="xch-row-label">Backup</div>
+            <div class="xch-row-content" style="flex-direction: column; align-items: flex-start; gap: 6px;">
+              <div class="xch-log-actions">
+                <button class="xch-btn xch-btn-small" id="xch-btn-export-settings">Export JSON</button>
+                <button class="xch-btn xch-btn-small" id="xch-btn-import-settings">Import JSON</button>
+                <input type="file" id="xch-import-file" accept="application/json,.json" style="display: none;">
+              </div>
+              <div id="xch-import-preview"></div>
+            </div>
+          </div>
+          <div class="xch-row">
+            <div class="xch-row-label">Buy Flow</div>
+            <div class="xch-row-content" style="flex-direction: column; align-items: flex-start; gap: 6px;">
+              <div class="xch-log-actions">
+                <button class="xch-btn xch-btn-small" id="xch-btn-load-flow" title="Load a JSON profile overriding selectors, button texts, waits or steps">Load Profile</button>
+                <button class="xch-btn xch-btn-small" id="xch-btn-export-flow">Export Active</button>
+                <button class="xch-btn xch-btn-small" id="xch-btn-reset-flow">Reset</button>
+                <input type="file" id="xch-flow-file" accept="application/json,.json" style="display: none;">
+              </div>
+              <div id="xch-flow-status"></div>
+            </div>
+          </div>
+          <div class="xch-row">
+            <div class="xch-row-label">Page Check</div>
+            <div class="xch-row-content">
+              <div id="xch-health-check"></div>
+              <button class="xch-btn xch-btn-small" id="xch-btn-recheck">Re-check</button>
             </div>
           </div>
           <div class="xch-row">
@@ -1429,6 +3895,9 @@
       const budgetValue = parseFloat(document.getElementById('xch-max-budget').value);
       settings.maxBudget = budgetValue > 0 ? budgetValue : 0;
       settings.refreshInterval = parseInt(document.getElementById('xch-refresh-interval').value) || 5;
+      const slippageValue = parseFloat(document.getElementById('xch-max-slippage').value);
+      settings.maxSlippagePct = slippageValue >= 0 ? slippageValue : DEFAULT_SETTINGS.maxSlippagePct;
+      document.getElementById('xch-max-slippage').value = settings.maxSlippagePct;
       await saveSettings();
       document.getElementById('xch-header-budget').textContent = settings.maxBudget > 0 ? `$${settings.maxBudget}` : 'Not Set';
       document.getElementById('xch-header-refresh').textContent = `${settings.refreshInterval}m`;
@@ -1440,6 +3909,24 @@
       }
     });
 
+    fillPriceGuardInputs();
+    document.getElementById('xch-btn-save-guard').addEventListener('click', savePriceGuard);
+
+    fillSpendCapInputs();
+    document.getElementById('xch-btn-save-caps').addEventListener('click', saveSpendCaps);
+
+    fillRetryPolicyInputs();
+    document.getElementById('xch-btn-save-retry').addEventListener('click', saveRetryPolicy);
+
+    fillAdaptiveRefreshInputs();
+    document.getElementById('xch-btn-save-adaptive').addEventListener('click', saveAdaptiveRefresh);
+
+    document.getElementById('xch-new-type').addEventListener('change', (e) => {
+      const isTrailing = e.target.value === 'trailing';
+      document.getElementById('xch-new-trail-group').style.display = isTrailing ? '' : 'none';
+      document.getElementById('xch-new-target-label').textContent = isTrailing ? 'Activation ($)' : 'Target Price ($)';
+    });
+
     document.getElementById('xch-btn-add-order').addEventListener('click', async () => {
       // Check if max budget is configured first
       if (!settings.maxBudget || settings.maxBudget <= 0) {
@@ -1464,21 +3951,59 @@
         return;
       }
 
-      if (amountNum < 25) {
-        logWarn('Minimum order amount is $25');
+      if (amountNum < MIN_ORDER_AMOUNT) {
+        logWarn(`Minimum order amount is $${MIN_ORDER_AMOUNT}`);
+        return;
+      }
+
+      const isTrailing = document.getElementById('xch-new-type').value === 'trailing';
+      let trailing = null;
+      if (isTrailing) {
+        const trailValue = parseFloat(document.getElementById('xch-new-trail').value);
+        const trailUnit = document.getElementById('xch-new-trail-unit').value;
+        if (!(trailValue > 0)) {
+          logWarn('Please enter a rebound greater than 0 for trailing orders');
+          return;
+        }
+        if (trailUnit === 'percent' && trailValue >= 100) {
+          logWarn('Rebound percent must be below 100%');
+          return;
+        }
+        trailing = { value: trailValue, unit: trailUnit };
+      }
+
+      // Optional activation window (datetime-local values are local time)
+      const activeFromValue = document.getElementById('xch-new-active-from').value;
+      const expiresValue = document.getElementById('xch-new-expires').value;
+      const activeFrom = activeFromValue ? new Date(activeFromValue).getTime() : null;
+      const expiresAt = expiresValue ? new Date(expiresValue).getTime() : null;
+
+      if (expiresAt && expiresAt <= Date.now()) {
+        logWarn('Expiry must be in the future');
+        return;
+      }
+
+      if (activeFrom && expiresAt && expiresAt <= activeFrom) {
+        logWarn('Expiry must be after the activation time');
         return;
       }
 
+      // Trailing orders may activate above the current price (they arm immediately)
+      const priceBasis = document.getElementById('xch-new-basis').value;
       const currentPrice = getCurrentPrice();
-      if (currentPrice !== null && targetPriceNum > currentPrice) {
-        logWarn(`Target price must be equal to or lower than current price ($${currentPrice.toFixed(2)})`);
+      const comparePrice = currentPrice !== null && priceBasis === 'effective' ? estimateEffectivePrice(currentPrice) : currentPrice;
+      if (!isTrailing && comparePrice !== null && targetPriceNum > comparePrice) {
+        logWarn(`Target price must be equal to or lower than current ${priceBasis} price ($${comparePrice.toFixed(2)})`);
         return;
       }
 
-      await addOrder(targetPrice, amount);
+      await addOrder(targetPrice, amount, { trailing, activeFrom, expiresAt, priceBasis });
 
       document.getElementById('xch-new-target').value = '';
       document.getElementById('xch-new-amount').value = '';
+      document.getElementById('xch-new-trail').value = '';
+      document.getElementById('xch-new-active-from').value = '';
+      document.getElementById('xch-new-expires').value = '';
 
       // Restart monitoring if running to pick up new order
       if (STATE.isRunning) {
@@ -1488,10 +4013,122 @@
       }
     });
 
+    document.getElementById('xch-dca-frequency').addEventListener('change', (e) => {
+      document.getElementById('xch-dca-weekday').style.display = e.target.value === 'weekly' ? '' : 'none';
+    });
+
+    document.getElementById('xch-btn-add-dca').addEventListener('click', async () => {
+      if (!settings.maxBudget || settings.maxBudget <= 0) {
+        logWarn('Max Budget not configured - cannot add DCA schedules');
+        showMaxBudgetWarning();
+        return;
+      }
+
+      const amountNum = parseFloat(document.getElementById('xch-dca-amount').value);
+      const frequency = document.getElementById('xch-dca-frequency').value;
+      const weekday = document.getElementById('xch-dca-weekday').value;
+      const time = document.getElementById('xch-dca-time').value;
+
+      if (!amountNum || !time) {
+        logWarn('Please enter both DCA amount and time');
+        return;
+      }
+
+      if (amountNum < MIN_ORDER_AMOUNT) {
+        logWarn(`Minimum order amount is $${MIN_ORDER_AMOUNT}`);
+        return;
+      }
+
+      await addDcaSchedule(amountNum, frequency, weekday, time);
+      document.getElementById('xch-dca-amount').value = '';
+    });
+
+    document.getElementById('xch-btn-ladder-preview').addEventListener('click', () => {
+      renderLadderPreview(buildLadderFromForm());
+    });
+
+    document.getElementById('xch-btn-ladder-create').addEventListener('click', async () => {
+      if (!settings.maxBudget || settings.maxBudget <= 0) {
+        logWarn('Max Budget not configured - cannot add orders');
+        showMaxBudgetWarning();
+        return;
+      }
+
+      const ladder = buildLadderFromForm();
+      renderLadderPreview(ladder);
+      if (ladder.error) {
+        logWarn(ladder.error);
+        return;
+      }
+
+      await createLadderOrders(ladder);
+      renderLadderPreview({ orders: [], error: null });
+    });
+
     document.getElementById('xch-btn-start').addEventListener('click', startMonitoring);
     document.getElementById('xch-btn-stop').addEventListener('click', stopMonitoring);
     document.getElementById('xch-btn-clear-logs').addEventListener('click', clearLogs);
     document.getElementById('xch-btn-save-logs').addEventListener('click', saveLogs);
+    document.getElementById('xch-btn-clear-history').addEventListener('click', clearPriceHistory);
+    document.getElementById('xch-dry-run').addEventListener('change', async (e) => {
+      if (STATE.buyProcessStarted) {
+        logWarn('Dry run can be changed after the current buy finishes');
+        e.target.checked = !!settings.dryRun;
+        return;
+      }
+      settings.dryRun = e.target.checked;
+      await saveSettings();
+      document.getElementById('xch-dry-run-badge').style.display = settings.dryRun ? '' : 'none';
+      logWarn(settings.dryRun ? 'Dry run ON - purchases will be simulated, the final Next is never clicked' : 'Dry run OFF - purchases are real');
+    });
+
+    document.getElementById('xch-refresh-strategy').addEventListener('change', async (e) => {
+      settings.refreshStrategy = getRefreshStrategy({ refreshStrategy: e.target.value });
+      await saveSettings();
+      log(`Refresh strategy: ${REFRESH_STRATEGY_LABELS[settings.refreshStrategy]}`);
+    });
+
+    document.getElementById('xch-requeue-refunded').addEventListener('change', async (e) => {
+      settings.requeueRefunded = e.target.checked;
+      await saveSettings();
+      log(`Refunded orders ${settings.requeueRefunded ? 'go back to pending' : 'stay in the Refunded tab'}`);
+    });
+
+    document.querySelectorAll('.xch-notify-toggle').forEach(toggle => {
+      toggle.addEventListener('change', async () => {
+        settings.notifications = {
+          ...DEFAULT_SETTINGS.notifications,
+          ...settings.notifications,
+          [toggle.dataset.event]: toggle.checked
+        };
+        await saveSettings();
+        log(`${NOTIFICATION_EVENTS[toggle.dataset.event]} notifications ${toggle.checked ? 'on' : 'off'}`);
+      });
+    });
+
+    document.getElementById('xch-btn-export-csv').addEventListener('click', () => exportFilledOrdersCsv('generic'));
+    document.getElementById('xch-btn-export-koinly').addEventListener('click', () => exportFilledOrdersCsv('koinly'));
+    document.getElementById('xch-btn-export-settings').addEventListener('click', exportSettings);
+    document.getElementById('xch-btn-import-settings').addEventListener('click', () => {
+      document.getElementById('xch-import-file').click();
+    });
+    document.getElementById('xch-import-file').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) await handleImportFile(file);
+    });
+
+    document.getElementById('xch-btn-load-flow').addEventListener('click', () => {
+      document.getElementById('xch-flow-file').click();
+    });
+    document.getElementById('xch-flow-file').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) await handleFlowProfileFile(file);
+    });
+    document.getElementById('xch-btn-export-flow').addEventListener('click', exportFlowProfile);
+    document.getElementById('xch-btn-recheck').addEventListener('click', () => runHealthCheck({ wait: 0 }));
+    document.getElementById('xch-btn-reset-flow').addEventListener('click', resetFlowProfile);
 
     renderOrders();
 
@@ -1504,6 +4141,43 @@
   // ============================================
   // INITIALIZATION
   // ============================================
+  /**
+   * Everything a page load does before it may buy, run only by the executor tab
+   * @param {boolean} wasRunning - Monitoring was on when the page (or the previous executor) went away
+   * @param {boolean} wasBuying - A buy was in progress at that point
+   */
+  async function startExecutor(wasRunning, wasBuying) {
+    await recordPageLoad();
+    await expireOrdersAndSave();
+
+    // Self-test the page before anything can buy on it
+    const healthy = await runHealthCheck();
+
+    // Cards have rendered by now: settle an interrupted buy against them before anything can
+    // buy again, then earlier fills before any budget check
+    const interrupted = await recoverExecutionJournal();
+    await cleanupQueuedDcaRuns();
+    await reconcileVaultOrdersAndSave();
+
+    if (!healthy && (wasRunning || wasBuying)) {
+      await pauseForFailedHealthCheck();
+    } else if (wasRunning) {
+      log(interrupted || wasBuying ? 'Resuming monitoring after an interrupted buy...' : 'Resuming monitoring after page refresh...');
+      updateStatus('Running');
+      startCountdownTimer();
+      // Re-persist state to ensure it's saved
+      await persistState();
+      // Wait for page to fully load, then check price
+      setTimeout(() => {
+        log('Checking price after refresh...');
+        checkPriceAndBuy();
+      }, 5000);
+    } else if (wasBuying) {
+      // Monitoring was stopped mid-buy; just drop the stale buying flag
+      await persistState();
+    }
+  }
+
   async function init() {
     const currentUrl = window.location.href;
     const isVaultBuyPage = currentUrl.includes('vault.chia.net/buy-xch');
@@ -1522,6 +4196,10 @@
     await loadSettings();
     console.log('[Content] Settings loaded:', settings);
 
+    await loadPriceHistory();
+    await loadFeeQuote();
+    await loadExecutionJournal();
+
     // Restore persisted state
     const persistedState = await getPersistedState();
     const wasRunning = persistedState.isRunning || false;
@@ -1539,6 +4217,9 @@
 
     await createToolbar();
 
+    // Before any buy can resume, so a patched flow is used from the first purchase
+    await loadFlowProfile();
+
     // Update stats display immediately
     updateStats();
 
@@ -1548,27 +4229,16 @@
     // Update badge with current order count
     updateBadge();
 
-    // Resume if was running (and not in the middle of buying)
-    if (wasRunning && !wasBuying) {
-      log('Resuming monitoring after page refresh...');
-      updateStatus('Running');
-      startCountdownTimer();
-      // Re-persist state to ensure it's saved
-      await persistState();
-      // Wait for page to fully load, then check price
-      setTimeout(() => {
-        log('Checking price after refresh...');
-        checkPriceAndBuy();
-      }, 5000);
-    } else if (wasBuying) {
-      // Was in the middle of buying - reset to running state
-      log('Was buying during refresh, resuming monitoring...');
-      STATE.buyProcessStarted = false;
-      STATE.currentStep = 0;
-      updateStatus('Running');
-      startCountdownTimer();
-      await persistState();
-      setTimeout(() => checkPriceAndBuy(), 5000);
+    // Only one vault tab executes orders; the others follow it read-only until it goes away
+    followExecutorChanges();
+    isExecutor = await claimExecutorLease();
+    startLeaseHeartbeat();
+
+    if (isExecutor) {
+      await startExecutor(wasRunning, wasBuying);
+    } else {
+      log('Another vault tab is executing orders - this tab is on standby');
+      enterStandby();
     }
 
     console.log('[Content] Initialization complete. isRunning:', STATE.isRunning);
@@ -0,0 +1,837 @@
+/**
+ * Vault buy flow
+ * The purchase flow is described as data (selectors, texts, timings, steps) and
+ * interpreted by a generic runner bound to a window, so the content script and
+ * the offline test fixture run the same code and a vault DOM change can be
+ * patched with an override profile instead of a release
+ */
+
+(function(root) {
+  'use strict';
+
+  const FLOW_FORMAT = 'xch-buy-flow';
+  const FLOW_VERSION = 1;
+
+  // ============================================
+  // DEFAULT FLOW DEFINITION
+  // ============================================
+
+  /**
+   * Step actions:
+   *   fill     - set the input matched by `target` to `value` ('{amount}' is the order amount)
+   *   click    - wait for an enabled button labelled `button` (inside `within`) and click it;
+   *              `checkDailyLimit` fails fast on limit errors, `final` marks the click that
+   *              places the order (dry run dismisses the dialog instead)
+   *   waitFor  - wait for `target` to appear
+   *   checkAll - click every `target` inside `within`, then wait until all `checked` are checked
+   *   readQuote - parse the order summary rows (`target`) inside `within`, or around the button
+   *              labelled `near` (the step that holds it, never the order cards), and hand them to the
+   *              caller to verify before anything is confirmed. `stage: 'preview'` marks a read
+   *              before the dialog (fees and XCH amount on the payment step); a 'confirm' read
+   *              (the default) is required before the final click
+   *   sleep    - pause for `duration`
+   * `target`, `within` and `checked` name entries in `selectors`, `button` and `near` entries in `texts`.
+   * `duration` and `timeout` are milliseconds or names of entries in `timings`.
+   */
+  const DEFAULT_FLOW = {
+    format: FLOW_FORMAT,
+    version: FLOW_VERSION,
+    name: 'vault.chia.net',
+    selectors: {
+      amountInput: 'input.is_Input[inputmode="decimal"]',
+      button: 'button.is_Button',
+      buttonTheme: 'span[class*="t_"]',
+      dialog: 'dialog.is_DialogContent[data-state="open"]',
+      checkboxUnchecked: 'button#confirmation-checkbox[data-state="unchecked"]',
+      checkbox: 'button#confirmation-checkbox',
+      errorMessage: 'span._col-red10',  // Red error text for limit messages
+      orderTitle: 'span.is_UIText',
+      orderCard: 'div[class*="_btlr-t-radius"]',
+      orderCardFallback: 'div[class*="is_YStack"]',
+      orderInProgressBadge: 'span.t_sub_theme.t_blue span.is_UIText',
+      orderStatusBadge: 'span.t_sub_theme span.is_UIText',
+      orderLink: 'a[href*="/buy-xch/BuyOrder_"]',
+      quoteRow: 'div.is_XStack'  // Label + value rows of the confirmation summary
+    },
+    texts: {
+      nextButton: 'Next',
+      buyButton: 'Buy XCH',
+      disabledButtonClass: 't_gray_Button',
+      systemDailyLimit: 'exceeds system daily limit',
+      userDailyLimit: 'exceeds your daily limit',
+      orderTitlePrefix: 'Order #',
+      orderInProgress: 'IN PROGRESS',
+      orderCompleted: 'COMPLETED',
+      orderFailed: 'FAILED',
+      orderCancelled: 'CANCELLED',
+      // Summary row labels (matched case-insensitively at the start of the row)
+      quoteUsdLabel: 'You pay',
+      quoteXchLabel: 'You receive',
+      quotePriceLabel: 'Price',
+      quoteFeeLabel: 'Fee'
+    },
+    timings: {
+      stepTimeout: 10000,
+      checkboxTimeout: 5000,
+      stepDelay: 5000
+    },
+    steps: [
+      {
+        name: 'Enter amount',
+        actions: [
+          { type: 'fill', target: 'amountInput', value: '{amount}' },
+          { type: 'click', button: 'nextButton', checkDailyLimit: true }
+        ]
+      },
+      {
+        name: 'Buy XCH',
+        actions: [
+          { type: 'sleep', duration: 'stepDelay' },
+          { type: 'readQuote', target: 'quoteRow', near: 'buyButton', stage: 'preview' },
+          { type: 'click', button: 'buyButton' }
+        ]
+      },
+      {
+        name: 'Confirm purchase',
+        actions: [
+          { type: 'sleep', duration: 'stepDelay' },
+          { type: 'waitFor', target: 'dialog' },
+          { type: 'readQuote', target: 'quoteRow', within: 'dialog' },
+          { type: 'checkAll', target: 'checkboxUnchecked', within: 'dialog', checked: 'checkbox', timeout: 'checkboxTimeout' },
+          { type: 'click', button: 'nextButton', within: 'dialog', final: true }
+        ]
+      }
+    ]
+  };
+
+  const ACTION_TYPES = ['fill', 'click', 'waitFor', 'checkAll', 'readQuote', 'sleep'];
+  const QUOTE_STAGES = ['preview', 'confirm'];
+
+  // ============================================
+  // PROFILE RESOLUTION & VALIDATION
+  // ============================================
+
+  /**
+   * Apply an override profile on top of the default flow
+   * selectors, texts and timings are merged key by key; steps are replaced as a whole
+   * @param {Object|null} profile - Override profile, null for the default flow
+   * @returns {Object} Complete flow definition
+   */
+  function resolveFlow(profile) {
+    if (!profile) return DEFAULT_FLOW;
+    if (typeof profile !== 'object' || Array.isArray(profile)) return profile;
+    return {
+      format: profile.format,
+      version: profile.version,
+      name: profile.name || 'Custom profile',
+      selectors: { ...DEFAULT_FLOW.selectors, ...profile.selectors },
+      texts: { ...DEFAULT_FLOW.texts, ...profile.texts },
+      timings: { ...DEFAULT_FLOW.timings, ...profile.timings },
+      steps: profile.steps || DEFAULT_FLOW.steps
+    };
+  }
+
+  function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+  }
+
+  function hasKey(object, key) {
+    return typeof key === 'string' && Object.prototype.hasOwnProperty.call(object, key);
+  }
+
+  function isDuration(value, timings) {
+    return (typeof value === 'number' && value >= 0) || hasKey(timings, value);
+  }
+
+  /**
+   * Check a resolved flow is complete and internally consistent
+   * @returns {string[]} Problems found, empty if the flow can run
+   */
+  function validateFlow(flow) {
+    const errors = [];
+    if (!flow || typeof flow !== 'object' || Array.isArray(flow)) return ['Flow must be a JSON object'];
+
+    if (flow.format !== FLOW_FORMAT) errors.push(`format must be "${FLOW_FORMAT}"`);
+    if (flow.version !== FLOW_VERSION) {
+      errors.push(typeof flow.version === 'number' && flow.version > FLOW_VERSION
+        ? `version ${flow.version} is newer than this extension supports (${FLOW_VERSION})`
+        : `version must be ${FLOW_VERSION}`);
+    }
+
+    for (const group of ['selectors', 'texts']) {
+      for (const [key, value] of Object.entries(flow[group] || {})) {
+        if (!isNonEmptyString(value)) errors.push(`${group}.${key} must be a non-empty string`);
+      }
+    }
+    for (const [key, value] of Object.entries(flow.timings || {})) {
+      if (typeof value !== 'number' || !(value >= 0)) errors.push(`timings.${key} must be a number of 0 or more`);
+    }
+
+    if (!Array.isArray(flow.steps) || flow.steps.length === 0) {
+      errors.push('steps must be a non-empty array');
+      return errors;
+    }
+
+    const selectors = flow.selectors || {};
+    const texts = flow.texts || {};
+    const timings = flow.timings || {};
+    const finalActions = [];
+    let quoteRead = false;
+
+    flow.steps.forEach((step, stepIndex) => {
+      const stepLabel = `Step ${stepIndex + 1}`;
+      if (!step || !Array.isArray(step.actions) || step.actions.length === 0) {
+        errors.push(`${stepLabel}: actions must be a non-empty array`);
+        return;
+      }
+      if (!isNonEmptyString(step.name)) errors.push(`${stepLabel}: name is required`);
+
+      step.actions.forEach((action, actionIndex) => {
+        const label = `${stepLabel} action ${actionIndex + 1}`;
+        if (!action || !ACTION_TYPES.includes(action.type)) {
+          errors.push(`${label}: type must be one of ${ACTION_TYPES.join(', ')}`);
+          return;
+        }
+        for (const ref of ['target', 'within', 'checked']) {
+          if (action[ref] !== undefined && !hasKey(selectors, action[ref])) {
+            errors.push(`${label}: ${ref} "${action[ref]}" is not a known selector`);
+          }
+        }
+        if (['fill', 'waitFor', 'checkAll', 'readQuote'].includes(action.type) && action.target === undefined) {
+          errors.push(`${label}: ${action.type} needs a target`);
+        }
+        if (action.type === 'fill' && typeof action.value !== 'string') errors.push(`${label}: fill needs a value`);
+        if (action.type === 'checkAll' && action.checked === undefined) errors.push(`${label}: checkAll needs checked`);
+        if (action.type === 'click' && !hasKey(texts, action.button)) errors.push(`${label}: button "${action.button}" is not a known text`);
+        if (action.near !== undefined && !hasKey(texts, action.near)) errors.push(`${label}: near "${action.near}" is not a known text`);
+        if (action.type === 'sleep' && !isDuration(action.duration, timings)) errors.push(`${label}: sleep needs a duration`);
+        if (action.timeout !== undefined && !isDuration(action.timeout, timings)) errors.push(`${label}: unknown timeout "${action.timeout}"`);
+        if (action.stage !== undefined && !QUOTE_STAGES.includes(action.stage)) errors.push(`${label}: stage must be one of ${QUOTE_STAGES.join(', ')}`);
+        if (action.type === 'readQuote' && action.stage !== 'preview') quoteRead = true;
+        if (action.final) {
+          finalActions.push({ action, isLast: stepIndex === flow.steps.length - 1 && actionIndex === step.actions.length - 1 });
+          if (!quoteRead) errors.push(`${label}: a confirm-stage readQuote action must come before the final click`);
+        }
+      });
+    });
+
+    // Dry run relies on the order-placing click being the very last thing the flow does
+    if (finalActions.length !== 1) {
+      errors.push('exactly one action must be marked final (the click that places the order)');
+    } else if (finalActions[0].action.type !== 'click' || !finalActions[0].isLast) {
+      errors.push('the final action must be the last click of the last step');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create the buy flow bound to a window
+   * @param {Object} options
+   * @param {Window} options.window - Window whose document is automated
+   * @param {Function} [options.log] - Info logger
+   * @param {Function} [options.logWarn] - Warning logger
+   * @param {Object} [options.flow] - Resolved flow definition (defaults to DEFAULT_FLOW)
+   * @returns {Object} Flow functions
+   */
+  function createBuyFlow({ window: win, log = () => {}, logWarn = log, flow: initialFlow = DEFAULT_FLOW }) {
+    const document = win.document;
+    const { MutationObserver, InputEvent, KeyboardEvent, HTMLInputElement } = win;
+
+    let flow = initialFlow;
+
+    /**
+     * Switch to another resolved flow, rejecting it if invalid or if a selector doesn't parse
+     * @returns {string[]} Problems found, empty if the flow was applied
+     */
+    function setFlow(nextFlow) {
+      const errors = validateFlow(nextFlow);
+      if (errors.length === 0) {
+        const fragment = document.createDocumentFragment();
+        for (const [key, selector] of Object.entries(nextFlow.selectors)) {
+          try {
+            fragment.querySelector(selector);
+          } catch (e) {
+            errors.push(`selectors.${key} is not a valid CSS selector`);
+          }
+        }
+      }
+      if (errors.length === 0) flow = nextFlow;
+      return errors;
+    }
+
+    function getFlow() {
+      return flow;
+    }
+
+    function resolveDuration(value) {
+      return typeof value === 'number' ? value : flow.timings[value];
+    }
+
+    // ============================================
+    // OBSERVER-BASED UTILITIES
+    // ============================================
+
+    /**
+     * Check if a button is enabled (not disabled)
+     */
+    function isButtonEnabled(button) {
+      if (!button) return false;
+      if (button.getAttribute('aria-disabled') === 'true') return false;
+      if (button.disabled) return false;
+      const parent = button.closest(flow.selectors.buttonTheme);
+      if (parent && parent.className.includes(flow.texts.disabledButtonClass)) return false;
+      return true;
+    }
+
+    /**
+     * Check for daily limit error messages
+     * Returns: 'SYSTEM_DAILY_LIMIT' | 'USER_DAILY_LIMIT' | null
+     */
+    function checkForDailyLimitError() {
+      const errorSpans = document.querySelectorAll(flow.selectors.errorMessage);
+      for (const span of errorSpans) {
+        const text = span.textContent.trim().toLowerCase();
+        if (text.includes(flow.texts.systemDailyLimit.toLowerCase())) {
+          return 'SYSTEM_DAILY_LIMIT';  // Retry on refresh
+        }
+        if (text.includes(flow.texts.userDailyLimit.toLowerCase())) {
+          return 'USER_DAILY_LIMIT';    // Stop monitoring
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Wait for an element to appear in the DOM
+     */
+    function waitForElement(selector, timeout = flow.timings.stepTimeout) {
+      return new Promise((resolve, reject) => {
+        const el = document.querySelector(selector);
+        if (el) {
+          log(`Element found immediately: ${selector}`);
+          return resolve(el);
+        }
+
+        log(`Waiting for element: ${selector}`);
+        const observer = new MutationObserver(() => {
+          const el = document.querySelector(selector);
+          if (el) {
+            observer.disconnect();
+            log(`Element appeared: ${selector}`);
+            resolve(el);
+          }
+        });
+
+        observer.observe(document.body, { childList: true, subtree: true });
+
+        setTimeout(() => {
+          observer.disconnect();
+          reject(new Error(`Timeout waiting for ${selector}`));
+        }, timeout);
+      });
+    }
+
+    /**
+     * Wait for a button with specific text to appear AND become enabled
+     * @param {boolean} checkDailyLimit - If true, also check for daily limit errors
+     */
+    function waitForEnabledButton(buttonText, containerSelector = 'body', timeout = flow.timings.stepTimeout, checkDailyLimit = false) {
+      return new Promise((resolve, reject) => {
+        const findEnabledButton = () => {
+          const container = document.querySelector(containerSelector) || document.body;
+          const buttons = container.querySelectorAll(flow.selectors.button);
+          for (const btn of buttons) {
+            if (btn.textContent.trim() === buttonText && isButtonEnabled(btn)) {
+              return btn;
+            }
+          }
+          return null;
+        };
+
+        // Check for daily limit error immediately
+        if (checkDailyLimit) {
+          const limitError = checkForDailyLimitError();
+          if (limitError) {
+            return reject(new Error(limitError));
+          }
+        }
+
+        const btn = findEnabledButton();
+        if (btn) {
+          log(`Button "${buttonText}" found and enabled immediately`);
+          return resolve(btn);
+        }
+
+        log(`Waiting for enabled button: "${buttonText}"`);
+        const observer = new MutationObserver(() => {
+          // Check for daily limit error on each mutation
+          if (checkDailyLimit) {
+            const limitError = checkForDailyLimitError();
+            if (limitError) {
+              observer.disconnect();
+              reject(new Error(limitError));
+              return;
+            }
+          }
+
+          const btn = findEnabledButton();
+          if (btn) {
+            observer.disconnect();
+            log(`Button "${buttonText}" is now enabled`);
+            resolve(btn);
+          }
+        });
+
+        observer.observe(document.body, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          attributeFilter: ['aria-disabled', 'class', 'data-state', 'style']
+        });
+
+        setTimeout(() => {
+          observer.disconnect();
+          reject(new Error(`Timeout waiting for enabled button "${buttonText}"`));
+        }, timeout);
+      });
+    }
+
+    /**
+     * Wait for every element matching checkedSelector in container to be checked
+     */
+    function waitForCheckboxesChecked(container, checkedSelector = flow.selectors.checkbox, timeout = flow.timings.checkboxTimeout) {
+      return new Promise((resolve, reject) => {
+        const allChecked = () => {
+          const checkboxes = container.querySelectorAll(checkedSelector);
+          return checkboxes.length > 0 &&
+            Array.from(checkboxes).every(cb => cb.getAttribute('data-state') === 'checked');
+        };
+
+        if (allChecked()) {
+          log('All checkboxes already checked');
+          return resolve();
+        }
+
+        log('Waiting for checkboxes to be checked...');
+        const observer = new MutationObserver(() => {
+          if (allChecked()) {
+            observer.disconnect();
+            log('All checkboxes are now checked');
+            resolve();
+          }
+        });
+
+        observer.observe(container, {
+          subtree: true,
+          attributes: true,
+          attributeFilter: ['data-state']
+        });
+
+        setTimeout(() => {
+          observer.disconnect();
+          if (allChecked()) resolve();
+          else reject(new Error('Timeout waiting for checkboxes to be checked'));
+        }, timeout);
+      });
+    }
+
+    /**
+     * Wait for an element to leave the DOM
+     */
+    function waitForElementRemoved(selector, timeout = flow.timings.stepTimeout) {
+      return new Promise((resolve, reject) => {
+        if (!document.querySelector(selector)) return resolve();
+
+        const observer = new MutationObserver(() => {
+          if (!document.querySelector(selector)) {
+            observer.disconnect();
+            resolve();
+          }
+        });
+
+        observer.observe(document.body, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          attributeFilter: ['data-state']
+        });
+
+        setTimeout(() => {
+          observer.disconnect();
+          reject(new Error(`Timeout waiting for ${selector} to close`));
+        }, timeout);
+      });
+    }
+
+    // ============================================
+    // VAULT ORDERS
+    // ============================================
+
+    /**
+     * Find the latest IN PROGRESS order from vault's "Your Orders" section
+     * @returns {Object|null} { orderId, detailsUrl } or null if not found
+     */
+    function getLatestVaultOrder() {
+      const { selectors, texts } = flow;
+      // Find all text spans that might contain "Order #"
+      const allSpans = document.querySelectorAll(selectors.orderTitle);
+
+      for (const span of allSpans) {
+        const text = span.textContent.trim();
+        if (text.startsWith(texts.orderTitlePrefix)) {
+          // Found an order card, check if it has IN PROGRESS status
+          // Navigate up to find the card container
+          const card = span.closest(selectors.orderCard) ||
+                       span.closest(selectors.orderCardFallback);
+
+          if (card) {
+            // Look for IN PROGRESS badge (typically has blue theme)
+            const inProgressBadge = card.querySelector(selectors.orderInProgressBadge);
+            if (inProgressBadge && inProgressBadge.textContent.includes(texts.orderInProgress)) {
+              // Extract Order ID
+              const orderId = text.replace(texts.orderTitlePrefix, '').trim();
+
+              // Find the "View Details" link
+              const viewDetailsLink = card.querySelector(selectors.orderLink);
+              const detailsUrl = viewDetailsLink ?
+                `https://vault.chia.net${viewDetailsLink.getAttribute('href')}` : null;
+
+              log(`Found vault order: #${orderId}`);
+              return {
+                orderId: orderId,
+                detailsUrl: detailsUrl
+              };
+            }
+          }
+        }
+      }
+
+      log('No IN PROGRESS vault order found');
+      return null;
+    }
+
+    /**
+     * Parse every card in "Your Orders" with its status badge
+     * @returns {Array} { orderId, status, detailsUrl } with status 'in_progress' | 'completed' |
+     *   'failed' | 'cancelled' | 'unknown'
+     */
+    function getVaultOrders() {
+      const { selectors, texts } = flow;
+      const statusTexts = [
+        [texts.orderInProgress, 'in_progress'],
+        [texts.orderCompleted, 'completed'],
+        [texts.orderFailed, 'failed'],
+        [texts.orderCancelled, 'cancelled']
+      ];
+      const orders = [];
+
+      for (const span of document.querySelectorAll(selectors.orderTitle)) {
+        const text = span.textContent.trim();
+        if (!text.startsWith(texts.orderTitlePrefix)) continue;
+        const card = span.closest(selectors.orderCard) || span.closest(selectors.orderCardFallback);
+        if (!card) continue;
+
+        const badge = card.querySelector(selectors.orderStatusBadge);
+        const badgeText = badge ? badge.textContent.trim().toUpperCase() : '';
+        const match = statusTexts.find(([label]) => label && badgeText.includes(label.toUpperCase()));
+        const link = card.querySelector(selectors.orderLink);
+
+        orders.push({
+          orderId: text.replace(texts.orderTitlePrefix, '').trim(),
+          status: match ? match[1] : 'unknown',
+          detailsUrl: link ? `https://vault.chia.net${link.getAttribute('href')}` : null
+        });
+      }
+
+      return orders;
+    }
+
+    // ============================================
+    // PAGE HEALTH
+    // ============================================
+
+    /**
+     * Verify the elements the flow starts from are present and parseable on the details step
+     * @returns {Array} Checks as { id, label, critical, ok, detail }
+     */
+    function checkPageHealth() {
+      const { selectors, texts } = flow;
+      const results = [];
+
+      const input = document.querySelector(selectors.amountInput);
+      results.push({
+        id: 'amountInput',
+        label: 'Amount input',
+        critical: true,
+        ok: !!input,
+        detail: input ? 'found' : `no match for ${selectors.amountInput}`
+      });
+
+      const nextButton = Array.from(document.querySelectorAll(selectors.button))
+        .find(btn => btn.textContent.trim() === texts.nextButton);
+      results.push({
+        id: 'nextButton',
+        label: `${texts.nextButton} button`,
+        critical: true,
+        ok: !!nextButton,
+        detail: nextButton ? 'found' : `no ${selectors.button} labelled "${texts.nextButton}"`
+      });
+
+      // New accounts have no cards, but any card that is listed must parse
+      const titles = Array.from(document.querySelectorAll(selectors.orderTitle))
+        .filter(span => span.textContent.trim().startsWith(texts.orderTitlePrefix));
+      const unparsed = titles.filter(span => {
+        const card = span.closest(selectors.orderCard) || span.closest(selectors.orderCardFallback);
+        return !card || !card.querySelector(selectors.orderLink);
+      });
+      results.push({
+        id: 'orderCards',
+        label: 'Order cards',
+        critical: false,
+        ok: unparsed.length === 0,
+        detail: titles.length === 0 ? 'none listed'
+          : unparsed.length > 0 ? `${unparsed.length} of ${titles.length} missing card or details link`
+          : `${titles.length} parsed`
+      });
+
+      return results;
+    }
+
+    // ============================================
+    // CONFIRMATION QUOTE
+    // ============================================
+
+    /**
+     * Last number in a text, ignoring currency signs and thousands separators
+     * ("1 XCH = $4.52" -> 4.52)
+     */
+    function parseLastNumber(text) {
+      const matches = text.replace(/,/g, '').match(/\d+(?:\.\d+)?/g);
+      return matches ? parseFloat(matches[matches.length - 1]) : null;
+    }
+
+    /**
+     * Parse the order summary shown in the confirmation dialog
+     * @param {Element} container - Dialog element
+     * @param {string} [rowSelector] - Selector of the label + value rows
+     * @returns {Object} { usdAmount, xchAmount, quotedPrice, fees }, null where a row is missing
+     */
+    function readQuote(container, rowSelector = flow.selectors.quoteRow) {
+      const { texts } = flow;
+      const rows = Array.from(container.querySelectorAll(rowSelector))
+        .map(row => row.textContent.replace(/\s+/g, ' ').trim());
+
+      const valueOf = (label) => {
+        const prefix = label.toLowerCase();
+        const row = rows.find(text => text.toLowerCase().startsWith(prefix));
+        return row ? parseLastNumber(row.slice(label.length)) : null;
+      };
+
+      return {
+        usdAmount: valueOf(texts.quoteUsdLabel),
+        xchAmount: valueOf(texts.quoteXchLabel),
+        quotedPrice: valueOf(texts.quotePriceLabel),
+        fees: valueOf(texts.quoteFeeLabel)
+      };
+    }
+
+    /**
+     * Innermost ancestor of the button labelled buttonText that holds summary rows. Stops before
+     * taking in the order cards or a dialog, whose rows are not part of the step
+     * @returns {Element|null}
+     */
+    function findStepContainer(buttonText, rowSelector = flow.selectors.quoteRow) {
+      const button = Array.from(document.querySelectorAll(flow.selectors.button))
+        .find(btn => btn.textContent.trim() === buttonText);
+      for (let el = button ? button.parentElement : null; el && el !== document.documentElement; el = el.parentElement) {
+        if (el.querySelector(flow.selectors.orderCard) || el.querySelector(flow.selectors.dialog)) return null;
+        if (el.querySelector(rowSelector)) return el;
+      }
+      return null;
+    }
+
+    // ============================================
+    // FLOW RUNNER
+    // ============================================
+
+    /**
+     * Close the confirmation dialog without confirming (dry run or rejected quote)
+     * Tries Escape first, then a close/cancel button
+     */
+    async function dismissDialog(dialog, reason = 'Dry run') {
+      const escape = { key: 'Escape', code: 'Escape', keyCode: 27, bubbles: true };
+      dialog.dispatchEvent(new KeyboardEvent('keydown', escape));
+      document.dispatchEvent(new KeyboardEvent('keydown', escape));
+
+      try {
+        await waitForElementRemoved(flow.selectors.dialog, 3000);
+        log(`${reason}: confirmation dialog dismissed`);
+        return true;
+      } catch (e) {
+        // Escape was ignored, fall back to a close button
+      }
+
+      const closeButton = dialog.querySelector('button[aria-label="Close"]') ||
+        Array.from(dialog.querySelectorAll('button')).find(btn => ['Cancel', 'Close', 'Back'].includes(btn.textContent.trim()));
+      if (closeButton) {
+        closeButton.click();
+        log(`${reason}: confirmation dialog closed`);
+        return true;
+      }
+
+      logWarn(`${reason}: could not dismiss confirmation dialog - it will clear on the next refresh`);
+      return false;
+    }
+
+    /**
+     * Run a single flow action
+     * @param {Object} action - Action from a flow step
+     * @param {Object} context - { amount, dryRun, onQuote }; onQuote gets (quote, stage)
+     */
+    async function runAction(action, { amount, dryRun, onQuote = () => {}, onFinalClick = () => {} }) {
+      const { selectors } = flow;
+      const timeout = resolveDuration(action.timeout || 'stepTimeout');
+
+      switch (action.type) {
+        case 'fill': {
+          const input = document.querySelector(selectors[action.target]);
+          if (!input) {
+            throw new Error(`Element not found: ${action.target}`);
+          }
+          const value = action.value.replace('{amount}', amount.toString());
+          log(`Setting ${action.target} to ${value}...`);
+          const nativeSetter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+          nativeSetter.call(input, value);
+          input.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText' }));
+          return;
+        }
+
+        case 'click': {
+          const text = flow.texts[action.button];
+          log(`Waiting for "${text}" button to enable...`);
+          const within = action.within ? selectors[action.within] : 'body';
+          const button = await waitForEnabledButton(text, within, timeout, !!action.checkDailyLimit);
+
+          if (action.final && dryRun) {
+            log(`"${text}" button enabled - dry run, not clicking`);
+            const container = document.querySelector(within);
+            if (container) await dismissDialog(container);
+            return;
+          }
+
+          // Recorded before the click so an interrupted page knows the purchase may have gone through
+          if (action.final) await onFinalClick();
+          log(`"${text}" button enabled, clicking...`);
+          button.click();
+          return;
+        }
+
+        case 'waitFor':
+          await waitForElement(selectors[action.target], timeout);
+          return;
+
+        case 'checkAll': {
+          const container = action.within ? document.querySelector(selectors[action.within]) : document;
+          if (!container) {
+            throw new Error(`Element not found: ${action.within}`);
+          }
+          const targets = container.querySelectorAll(selectors[action.target]);
+          if (targets.length === 0) {
+            log('No unchecked checkboxes found (may already be checked)');
+          } else {
+            log(`Found ${targets.length} unchecked checkbox(es), clicking...`);
+            targets.forEach(el => el.click());
+          }
+          await waitForCheckboxesChecked(container, selectors[action.checked], timeout);
+          return;
+        }
+
+        case 'readQuote': {
+          // A step without summary rows reads as an empty quote; a missing dialog is an error
+          let container = document;
+          if (action.near) {
+            container = findStepContainer(flow.texts[action.near], selectors[action.target]) || document.createDocumentFragment();
+          } else if (action.within) {
+            container = document.querySelector(selectors[action.within]);
+            if (!container) {
+              throw new Error(`Element not found: ${action.within}`);
+            }
+          }
+          const stage = action.stage || 'confirm';
+          const quote = readQuote(container, selectors[action.target]);
+          const show = (value) => value === null ? '?' : value;
+          log(`${stage === 'preview' ? 'Payment' : 'Dialog'} quote: $${show(quote.usdAmount)} → ${show(quote.xchAmount)} XCH at $${show(quote.quotedPrice)}, fees $${show(quote.fees)}`);
+          try {
+            // The caller throws to refuse the quote
+            await onQuote(quote, stage);
+          } catch (error) {
+            if (action.within) await dismissDialog(container, 'Quote rejected');
+            throw error;
+          }
+          return;
+        }
+
+        case 'sleep': {
+          const duration = resolveDuration(action.duration);
+          log(`Waiting ${duration / 1000}s...`);
+          await new Promise(resolve => setTimeout(resolve, duration));
+          return;
+        }
+
+        default:
+          throw new Error(`Unknown flow action: ${action.type}`);
+      }
+    }
+
+    /**
+     * Run every step of the active flow
+     * @param {Object} options
+     * @param {number} options.amount - Dollar amount to buy
+     * @param {boolean} [options.dryRun] - Dismiss the dialog instead of the final click
+     * @param {Function} [options.onStep] - Awaited with (stepNumber, step) before each step starts
+     * @param {Function} [options.onQuote] - Awaited with (quote, stage) for each readQuote; throw to abort before confirming
+     * @param {Function} [options.onFinalClick] - Awaited right before the final click (never in a dry run)
+     */
+    async function runFlow({ amount, dryRun = false, onStep = () => {}, onQuote, onFinalClick }) {
+      const steps = flow.steps;
+      for (let i = 0; i < steps.length; i++) {
+        const stepNumber = i + 1;
+        await onStep(stepNumber, steps[i]);
+        log(`Step ${stepNumber}: ${steps[i].name}`);
+        for (const action of steps[i].actions) {
+          await runAction(action, { amount, dryRun, onQuote, onFinalClick });
+        }
+        log(`Step ${stepNumber} completed`);
+      }
+      log(dryRun ? 'Flow completed: Order simulated' : 'Flow completed: Order placed!');
+      return true;
+    }
+
+    return {
+      setFlow,
+      getFlow,
+      isButtonEnabled,
+      checkForDailyLimitError,
+      waitForElement,
+      waitForEnabledButton,
+      waitForCheckboxesChecked,
+      waitForElementRemoved,
+      getLatestVaultOrder,
+      getVaultOrders,
+      checkPageHealth,
+      readQuote,
+      dismissDialog,
+      runAction,
+      runFlow
+    };
+  }
+
+  const XCHBuyFlow = { FLOW_FORMAT, FLOW_VERSION, DEFAULT_FLOW, resolveFlow, validateFlow, createBuyFlow };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XCHBuyFlow;
+  } else {
+    root.XCHBuyFlow = XCHBuyFlow;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
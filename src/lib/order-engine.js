@@ -0,0 +1,934 @@
+/**
+ * Order engine
+ * Pure order decision logic (triggers, budget, status transitions) with no
+ * browser globals, shared by the content script, background and popup
+ */
+
+(function(root) {
+  'use strict';
+
+  const ORDER_TYPES = ['limit', 'trailing', 'dca', 'market'];
+  const ORDER_STATUSES = ['pending', 'paused', 'executed', 'expired', 'scheduled', 'simulated', 'refunded', 'failed', 'review'];
+  // Vault order card states; failed and cancelled orders were never charged
+  const VAULT_ORDER_STATUSES = ['in_progress', 'completed', 'failed', 'cancelled'];
+  // What an order's targetPrice is compared with: the page's "1 XCH = $x" rate, or USD paid per XCH received after fees
+  const PRICE_BASES = ['headline', 'effective'];
+
+  // Price guard limits; 0 turns a check off
+  const DEFAULT_PRICE_GUARD = {
+    maxDeviationPct: 25,   // from the median of recent readings
+    maxJumpPct: 15,        // from the previous reading
+    minPrice: 0,
+    maxPrice: 0,
+    largeOrderAmount: 500, // batches of at least this much need confirming readings
+    confirmations: 2       // consecutive triggering readings, including the current one
+  };
+
+  // Retries after step timeouts and other buy errors
+  const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,         // failed buys before an order moves to 'failed'; 0 retries forever
+    backoffMinutes: 10,     // wait after the first failure, doubled after each further one
+    maxBackoffMinutes: 240
+  };
+
+  // How the background refreshes the executor vault tab; 'reopen' closes it and opens a focused copy
+  const REFRESH_STRATEGIES = ['reopen', 'reload', 'background', 'pinned', 'window'];
+  const REFRESH_STRATEGY_LABELS = {
+    reopen: 'Close & reopen (focused)',
+    reload: 'Reload in place',
+    background: 'Reopen in background',
+    pinned: 'Pinned tab',
+    window: 'Minimized window'
+  };
+
+  // The executor tab renews its lease every 30s; a tab that stops (crash, hung page) loses it after
+  // this long. Long enough for hidden tabs, whose timers can be throttled to once a minute
+  const EXECUTOR_LEASE_TTL_MS = 150000;
+
+  // Adaptive polling: refresh at the floor within bandPct above the nearest pending target,
+  // slower in proportion to the distance beyond it, never slower than the ceiling
+  const DEFAULT_ADAPTIVE_REFRESH = {
+    enabled: false,
+    minMinutes: 1,
+    maxMinutes: 15,
+    bandPct: 2,
+    maxPerHour: 20    // executor page loads in any hour; 0 for no cap
+  };
+  // Shortest delay the alarms API honours
+  const MIN_REFRESH_MINUTES = 0.5;
+  const HOUR_MS = 60 * 60 * 1000;
+
+  // Spend caps per window in USD; 0 turns a cap off
+  const SPEND_CAP_PERIODS = ['daily', 'weekly', 'monthly'];
+  const DEFAULT_SPEND_CAPS = { daily: 0, weekly: 0, monthly: 0 };
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Readings older than this say nothing about the current price
+  const PRICE_GUARD_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+  // Readings this close to the current one come from the same page load
+  const PRICE_GUARD_MIN_GAP_MS = 30000;
+  // Median is taken over this many recent readings, and only once there are enough of them
+  const PRICE_GUARD_MEDIAN_READINGS = 12;
+  const PRICE_GUARD_MIN_READINGS = 3;
+
+  // ============================================
+  // MONEY
+  // ============================================
+
+  /**
+   * Dollar amounts are summed in whole cents so budgets don't drift
+   * (0.1 + 0.2 style errors would otherwise let a batch miss the last cent of budget)
+   */
+  function toCents(amount) {
+    return Math.round(amount * 100);
+  }
+
+  function sumAmounts(orders) {
+    return orders.reduce((sum, o) => sum + toCents(o.amount), 0) / 100;
+  }
+
+  // ============================================
+  // ORDER QUERIES
+  // ============================================
+
+  function getPendingOrders(orders) {
+    return orders.filter(o => o.status === 'pending');
+  }
+
+  function getExecutedOrders(orders) {
+    return orders.filter(o => o.status === 'executed');
+  }
+
+  /**
+   * Orders that have or may have been paid for: executed ones, and ones held for review
+   * after an interrupted buy (counted until the user settles them)
+   */
+  function getCommittedOrders(orders) {
+    return orders.filter(o => o.status === 'executed' || o.status === 'review');
+  }
+
+  /**
+   * When a committed order was (or may have been) paid for
+   */
+  function getSpentAt(order) {
+    return order.filledAt || order.reviewAt;
+  }
+
+  /**
+   * Calculate total spent from executed orders and orders held for review
+   * This is more reliable than storing a counter that can get out of sync
+   */
+  function calculateTotalSpent(orders) {
+    return sumAmounts(getCommittedOrders(orders));
+  }
+
+  /**
+   * Budget left before maxBudget is reached, never negative
+   */
+  function getRemainingBudget(maxBudget, totalSpent) {
+    return Math.max(0, toCents(maxBudget) - toCents(totalSpent)) / 100;
+  }
+
+  /**
+   * Check whether an order's activation time has been reached
+   */
+  function isOrderActive(order, now = Date.now()) {
+    return !order.activeFrom || order.activeFrom <= now;
+  }
+
+  /**
+   * Check whether an order that failed to buy has waited out its backoff
+   */
+  function isOrderRetryDue(order, now = Date.now()) {
+    return !order.nextAttemptAt || order.nextAttemptAt <= now;
+  }
+
+  // ============================================
+  // SPEND CAPS
+  // ============================================
+
+  /**
+   * Start of a cap window: the last 24 hours, the last 7 days, or the current calendar month (local time)
+   */
+  function getSpendWindowStart(period, now) {
+    if (period === 'daily') return now - DAY_MS;
+    if (period === 'weekly') return now - 7 * DAY_MS;
+    const date = new Date(now);
+    return new Date(date.getFullYear(), date.getMonth(), 1).getTime();
+  }
+
+  /**
+   * When a window next frees up budget: the oldest fill in it drops out of a rolling window,
+   * a calendar month resets at the start of the next one
+   */
+  function getSpendWindowRollover(period, windowFills, now) {
+    if (period === 'monthly') {
+      const date = new Date(now);
+      return new Date(date.getFullYear(), date.getMonth() + 1, 1).getTime();
+    }
+    if (windowFills.length === 0) return null;
+    const oldest = Math.min(...windowFills.map(getSpentAt));
+    return oldest + (period === 'daily' ? DAY_MS : 7 * DAY_MS);
+  }
+
+  /**
+   * Spending against each enabled cap, from committed orders' filledAt (reviewAt while held for review)
+   * @param {Array} orders - All orders (only executed and review ones count)
+   * @param {Object} [caps] - { daily, weekly, monthly } in USD, 0 or missing turns a cap off
+   * @returns {Array} { period, cap, spent, remaining, resumesAt } per enabled cap
+   */
+  function getSpendCapStatus(orders, caps = {}, now = Date.now()) {
+    const fills = getCommittedOrders(orders).filter(getSpentAt);
+    return SPEND_CAP_PERIODS
+      .filter(period => caps && caps[period] > 0)
+      .map(period => {
+        const start = getSpendWindowStart(period, now);
+        const windowFills = fills.filter(o => getSpentAt(o) > start && getSpentAt(o) <= now);
+        const spent = sumAmounts(windowFills);
+        return {
+          period,
+          cap: caps[period],
+          spent,
+          remaining: getRemainingBudget(caps[period], spent),
+          resumesAt: getSpendWindowRollover(period, windowFills, now)
+        };
+      });
+  }
+
+  // ============================================
+  // PRICE BASIS
+  // ============================================
+
+  function isEffectiveBasis(order) {
+    return order.priceBasis === 'effective';
+  }
+
+  /**
+   * Estimate the effective price at a headline price from the last quote vault showed
+   * Fees are assumed to scale with the amount, so the quote's markup is reused
+   * @param {number} headlinePrice - Page price
+   * @param {Object|null} feeQuote - { headlinePrice, effectivePrice } from a previous quote, null if none seen yet
+   * @returns {number|null} null until a quote has been seen
+   */
+  function getEffectivePrice(headlinePrice, feeQuote) {
+    if (!feeQuote || !(feeQuote.headlinePrice > 0) || !(feeQuote.effectivePrice > 0)) return null;
+    return headlinePrice * feeQuote.effectivePrice / feeQuote.headlinePrice;
+  }
+
+  /**
+   * The price an order's target is compared with (null for effective-basis orders without a fee quote)
+   */
+  function getOrderPrice(order, headlinePrice, effectivePrice = headlinePrice) {
+    return isEffectiveBasis(order) ? effectivePrice : headlinePrice;
+  }
+
+  // ============================================
+  // TRAILING ORDERS
+  // ============================================
+
+  function isTrailingOrder(order) {
+    return order.type === 'trailing';
+  }
+
+  /**
+   * Price at which an armed trailing order fires (lowest price plus the rebound)
+   */
+  function getTrailTriggerPrice(order) {
+    const rebound = order.trailUnit === 'percent'
+      ? order.lowestPrice * order.trailValue / 100
+      : order.trailValue;
+    return order.lowestPrice + rebound;
+  }
+
+  function resetTrailingState(order) {
+    order.armed = false;
+    order.lowestPrice = null;
+    order.armedAt = null;
+  }
+
+  /**
+   * Arm trailing orders whose activation price was reached and track the lowest price seen.
+   * State lives on the order itself so it survives the tab close/reopen refresh cycle.
+   * Effective-basis orders track the effective price, and wait while it is unknown.
+   * @returns {Array} Changes as { order, event: 'armed' | 'low' } - save settings when non-empty
+   */
+  function updateTrailingOrders(orders, headlinePrice, now = Date.now(), effectivePrice = headlinePrice) {
+    const changes = [];
+    for (const order of getPendingOrders(orders).filter(o => isTrailingOrder(o) && isOrderActive(o, now))) {
+      const currentPrice = getOrderPrice(order, headlinePrice, effectivePrice);
+      if (currentPrice === null) continue;
+      if (!order.armed) {
+        if (currentPrice <= order.targetPrice) {
+          order.armed = true;
+          order.armedAt = now;
+          order.lowestPrice = currentPrice;
+          changes.push({ order, event: 'armed' });
+        }
+      } else if (currentPrice < order.lowestPrice) {
+        order.lowestPrice = currentPrice;
+        changes.push({ order, event: 'low' });
+      }
+    }
+    return changes;
+  }
+
+  // ============================================
+  // EXECUTION DECISIONS
+  // ============================================
+
+  /**
+   * Check whether an order should fire at the current price
+   * Limit orders fire at or below target, trailing orders on rebound off the low.
+   * Effective-basis orders never fire before a fee quote has been seen
+   */
+  function isOrderTriggered(order, headlinePrice, effectivePrice = headlinePrice) {
+    const currentPrice = getOrderPrice(order, headlinePrice, effectivePrice);
+    if (currentPrice === null) return false;
+    if (isTrailingOrder(order)) {
+      return order.armed && currentPrice >= getTrailTriggerPrice(order);
+    }
+    return currentPrice <= order.targetPrice;
+  }
+
+  /**
+   * Find ALL executable orders for batch execution
+   * Orders outside their activation window are skipped
+   * Returns orders sorted by lowest target price first (equal targets keep their order)
+   */
+  function findExecutableOrders(orders, headlinePrice, now = Date.now(), effectivePrice = headlinePrice) {
+    return orders
+      .filter(o => o.status === 'pending' && isOrderActive(o, now) && isOrderRetryDue(o, now) &&
+        isOrderTriggered(o, headlinePrice, effectivePrice))
+      .sort((a, b) => a.targetPrice - b.targetPrice);
+  }
+
+  /**
+   * Validate batch execution against budget constraints
+   * Returns orders that fit within remaining budget (lowest target first). When a spend cap
+   * is tighter than the lifetime budget and leaves orders out, `cap` is its getSpendCapStatus entry.
+   * @param {Object} [spendLimits] - { caps, history: all orders, now } for the rolling spend caps
+   */
+  function validateBatchExecution(orders, maxBudget, totalSpent, spendLimits = {}) {
+    const { caps = null, history = [], now = Date.now() } = spendLimits;
+    let remainingCents = toCents(maxBudget) - toCents(totalSpent);
+    let limitingCap = null;
+    for (const status of getSpendCapStatus(history, caps, now)) {
+      if (toCents(status.remaining) < remainingCents) {
+        remainingCents = toCents(status.remaining);
+        limitingCap = status;
+      }
+    }
+
+    // Check if all orders fit within budget
+    const batchCents = orders.reduce((sum, o) => sum + toCents(o.amount), 0);
+    if (batchCents <= remainingCents) {
+      return { orders, totalAmount: batchCents / 100 };
+    }
+
+    // Partial execution: select orders that fit within budget (lowest target first)
+    const selectedOrders = [];
+    let runningCents = 0;
+    for (const order of orders) {
+      const cents = toCents(order.amount);
+      if (runningCents + cents <= remainingCents) {
+        selectedOrders.push(order);
+        runningCents += cents;
+      }
+    }
+
+    const batch = { orders: selectedOrders, totalAmount: runningCents / 100 };
+    if (limitingCap) batch.cap = limitingCap;
+    return batch;
+  }
+
+  // ============================================
+  // PRICE GUARD
+  // ============================================
+
+  /**
+   * Earlier readings that count as separate observations from the current one, oldest first
+   * Readings the guard rejected are left out, so an outlier never becomes the reference
+   */
+  function getPriorReadings(history, now) {
+    return history.filter(r => !r.rejected &&
+      now - r.timestamp >= PRICE_GUARD_MIN_GAP_MS && now - r.timestamp <= PRICE_GUARD_MAX_AGE_MS);
+  }
+
+  /**
+   * Take back the rejection of the newest reading when a later page load lands near it: the move
+   * was real, and leaving it out would keep rejecting the new price level against the old one
+   * @param {Array} history - Price history, oldest first; the reading is updated in place
+   * @returns {boolean} true if a reading was restored and the history needs saving
+   */
+  function confirmRejectedReading(history, price, guard = {}, now = Date.now()) {
+    const last = history[history.length - 1];
+    if (!last || !last.rejected || now - last.timestamp < PRICE_GUARD_MIN_GAP_MS) return false;
+    const { maxJumpPct } = { ...DEFAULT_PRICE_GUARD, ...guard };
+    const tolerancePct = maxJumpPct > 0 ? maxJumpPct : DEFAULT_PRICE_GUARD.maxJumpPct;
+    if (Math.abs(percentChange(last.price, price)) > tolerancePct) return false;
+    delete last.rejected;
+    return true;
+  }
+
+  function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  function percentChange(from, to) {
+    return ((to - from) / from) * 100;
+  }
+
+  /**
+   * Check a price reading is plausible before it may trigger a buy
+   * @param {number} price - Current reading
+   * @param {Array} history - Price history { price, timestamp, rejected }, oldest first (may include the current reading)
+   * @param {Object} [guard] - Price guard settings, missing keys use DEFAULT_PRICE_GUARD
+   * @returns {{ ok: boolean, reasons: string[] }}
+   */
+  function checkPriceSanity(price, history, guard = {}, now = Date.now()) {
+    const { maxDeviationPct, maxJumpPct, minPrice, maxPrice } = { ...DEFAULT_PRICE_GUARD, ...guard };
+    const reasons = [];
+
+    if (minPrice > 0 && price < minPrice) reasons.push(`$${price.toFixed(2)} is below the $${minPrice} minimum`);
+    if (maxPrice > 0 && price > maxPrice) reasons.push(`$${price.toFixed(2)} is above the $${maxPrice} maximum`);
+
+    const prior = getPriorReadings(history, now);
+    const previous = prior[prior.length - 1];
+    if (maxJumpPct > 0 && previous) {
+      const jump = percentChange(previous.price, price);
+      if (Math.abs(jump) > maxJumpPct) {
+        reasons.push(`moved ${jump.toFixed(1)}% from the previous reading ($${previous.price.toFixed(2)})`);
+      }
+    }
+
+    const recent = prior.slice(-PRICE_GUARD_MEDIAN_READINGS);
+    if (maxDeviationPct > 0 && recent.length >= PRICE_GUARD_MIN_READINGS) {
+      const reference = median(recent.map(r => r.price));
+      const deviation = percentChange(reference, price);
+      if (Math.abs(deviation) > maxDeviationPct) {
+        reasons.push(`is ${deviation.toFixed(1)}% from the recent median ($${reference.toFixed(2)})`);
+      }
+    }
+
+    return { ok: reasons.length === 0, reasons };
+  }
+
+  /**
+   * Count consecutive readings, newest first and including the current one,
+   * at which every order in the batch would have triggered
+   * @param {Object|null} [feeQuote] - Last fee quote, to estimate effective prices of past readings
+   */
+  function countConfirmingReadings(orders, history, now = Date.now(), feeQuote = null) {
+    const prior = getPriorReadings(history, now);
+    let count = 1;
+    for (let i = prior.length - 1; i >= 0; i--) {
+      const price = prior[i].price;
+      if (!orders.every(o => isOrderTriggered(o, price, getEffectivePrice(price, feeQuote)))) break;
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Confirming readings a batch needs before it may fire
+   */
+  function getRequiredConfirmations(batchAmount, guard = {}) {
+    const { largeOrderAmount, confirmations } = { ...DEFAULT_PRICE_GUARD, ...guard };
+    return largeOrderAmount > 0 && batchAmount >= largeOrderAmount ? Math.max(1, confirmations) : 1;
+  }
+
+  // ============================================
+  // CONFIRMATION QUOTE
+  // ============================================
+
+  /**
+   * Highest prices a batch may fill at before slippage, per price basis (null if no order uses it)
+   * Limit orders are capped by their target; trailing orders fire on a rebound off their low,
+   * so they accept the price they triggered at. DCA runs buy at market and get no ceiling,
+   * leaving only the amount check
+   */
+  function getBatchPriceCeilings(orders, headlinePrice, effectivePrice = headlinePrice) {
+    const ceilings = { headline: null, effective: null };
+    for (const order of orders) {
+      if (order.type === 'market') continue;
+      const basis = isEffectiveBasis(order) ? 'effective' : 'headline';
+      const firedAt = getOrderPrice(order, headlinePrice, effectivePrice);
+      const ceiling = isTrailingOrder(order) ? Math.max(order.targetPrice, firedAt) : order.targetPrice;
+      ceilings[basis] = Math.max(ceilings[basis] ?? ceiling, ceiling);
+    }
+    return ceilings;
+  }
+
+  /**
+   * Compare a quote vault shows (payment step or confirmation dialog) with the batch about to be bought
+   * The implied price is USD paid per XCH received, so it includes any fees. Headline targets are
+   * checked against the quoted rate (the implied price if vault shows none), effective targets
+   * against the implied price.
+   * @param {Object} quote - { usdAmount, xchAmount, quotedPrice, fees } as read from the page
+   * @param {Object} expected - { amount, ceilings: { headline, effective }, slippagePct }
+   * @returns {{ ok: boolean, problem: null|'unreadable'|'amount'|'price', reason: string|null, impliedPrice: number|null }}
+   */
+  function checkQuote(quote, { amount, ceilings, slippagePct = 0 }) {
+    const fail = (problem, reason, impliedPrice = null) => ({ ok: false, problem, reason, impliedPrice });
+
+    if (!(quote.usdAmount > 0) || !(quote.xchAmount > 0)) {
+      return fail('unreadable', 'could not read the USD amount and XCH quantity');
+    }
+
+    const impliedPrice = quote.usdAmount / quote.xchAmount;
+    if (toCents(quote.usdAmount) !== toCents(amount)) {
+      return fail('amount', `quote shows $${quote.usdAmount.toFixed(2)}, expected $${amount.toFixed(2)}`, impliedPrice);
+    }
+
+    const checks = [
+      { label: 'quoted price', price: quote.quotedPrice > 0 ? quote.quotedPrice : impliedPrice, ceiling: ceilings.headline },
+      { label: 'effective price', price: impliedPrice, ceiling: ceilings.effective }
+    ];
+    for (const { label, price, ceiling } of checks) {
+      if (ceiling === null || ceiling === undefined) continue;
+      // Compared in cents so display rounding of the XCH quantity can't fail an exact fill
+      const limit = ceiling * (1 + slippagePct / 100);
+      if (toCents(price) > toCents(limit)) {
+        return fail('price', `${label} $${price.toFixed(2)} is above $${limit.toFixed(2)} ` +
+          `(highest target $${ceiling.toFixed(2)} + ${slippagePct}% slippage)`, impliedPrice);
+      }
+    }
+
+    return { ok: true, problem: null, reason: null, impliedPrice };
+  }
+
+  // ============================================
+  // STATUS TRANSITIONS
+  // ============================================
+
+  /**
+   * Move pending and paused orders past their expiresAt to 'expired'
+   * @returns {Array} Orders expired
+   */
+  function expireOrders(orders, now = Date.now()) {
+    const expiring = orders.filter(o =>
+      (o.status === 'pending' || o.status === 'paused') && o.expiresAt && o.expiresAt <= now
+    );
+    for (const order of expiring) {
+      order.status = 'expired';
+      order.expiredAt = now;
+    }
+    return expiring;
+  }
+
+  /**
+   * Pause a pending order or resume a paused one
+   * @returns {string|null} New status, or null if the order can't be toggled
+   */
+  function toggleOrderPaused(order, now = Date.now()) {
+    if (order.status === 'pending') {
+      order.status = 'paused';
+      order.pausedAt = now;
+    } else if (order.status === 'paused') {
+      order.status = 'pending';
+      delete order.pausedAt;
+    } else {
+      return null;
+    }
+    return order.status;
+  }
+
+  /**
+   * Record a fill ('executed') or a dry-run fill ('simulated')
+   */
+  function markOrderFilled(order, status, executedPrice, now = Date.now()) {
+    order.status = status;
+    order.executedPrice = executedPrice;
+    order.filledAt = now;
+    clearRetryState(order);
+  }
+
+  /**
+   * Attach the quote vault showed for the batch an order was filled in
+   * effectivePrice is USD paid per XCH received for the whole batch, fees included
+   */
+  function recordOrderQuote(order, quote) {
+    order.quote = quote;
+    order.effectivePrice = quote.impliedPrice;
+  }
+
+  /**
+   * Put a filled order back in the pending queue, restarting any trailing cycle
+   */
+  function requeueOrder(order) {
+    order.status = 'pending';
+    delete order.executedPrice;
+    delete order.filledAt;
+    delete order.quote;
+    delete order.effectivePrice;
+    delete order.vaultOrderId;
+    delete order.vaultOrderUrl;
+    delete order.vaultStatus;
+    delete order.vaultStatusAt;
+    delete order.refundedAt;
+    clearRetryState(order);
+    clearReviewState(order);
+    if (isTrailingOrder(order)) resetTrailingState(order);
+  }
+
+  /**
+   * Apply the statuses of vault's order cards to the executed orders linked to them (vaultOrderId)
+   * A failed or cancelled vault order is refunded: the order stops counting as spent, and with
+   * `requeue` goes straight back to pending (DCA runs are only refunded, the schedule buys again)
+   * @param {Array} orders - All orders
+   * @param {Array} vaultOrders - { orderId, status } parsed from "Your Orders"
+   * @param {Object} [options] - { requeue, now }
+   * @returns {Array} { order, vaultOrderId, vaultStatus, status } for each order whose vault status changed
+   */
+  function reconcileVaultOrders(orders, vaultOrders, { requeue = false, now = Date.now() } = {}) {
+    const vaultStatuses = new Map(vaultOrders
+      .filter(v => VAULT_ORDER_STATUSES.includes(v.status))
+      .map(v => [String(v.orderId), v.status]));
+    const changes = [];
+
+    for (const order of orders) {
+      if (order.status !== 'executed' || !order.vaultOrderId) continue;
+      const vaultOrderId = String(order.vaultOrderId);
+      const vaultStatus = vaultStatuses.get(vaultOrderId);
+      if (!vaultStatus || vaultStatus === order.vaultStatus) continue;
+
+      order.vaultStatus = vaultStatus;
+      order.vaultStatusAt = now;
+      if (vaultStatus === 'failed' || vaultStatus === 'cancelled') {
+        if (requeue && !order.scheduleId) {
+          requeueOrder(order);
+        } else {
+          order.status = 'refunded';
+          order.refundedAt = now;
+        }
+      }
+      changes.push({ order, vaultOrderId, vaultStatus, status: order.status });
+    }
+
+    return changes;
+  }
+
+  // ============================================
+  // RETRIES
+  // ============================================
+
+  /**
+   * Wait before the next attempt after `attempts` failures: backoffMinutes doubled per
+   * further failure, capped at maxBackoffMinutes
+   */
+  function getRetryDelayMs(attempts, policy = DEFAULT_RETRY_POLICY) {
+    const { backoffMinutes, maxBackoffMinutes } = { ...DEFAULT_RETRY_POLICY, ...policy };
+    const minutes = backoffMinutes * Math.pow(2, Math.max(0, attempts - 1));
+    return (maxBackoffMinutes > 0 ? Math.min(minutes, maxBackoffMinutes) : minutes) * 60000;
+  }
+
+  /**
+   * Count a failed buy against a pending order: it backs off until nextAttemptAt, or
+   * moves to 'failed' once maxAttempts is used up
+   * @returns {string} The order's status afterwards
+   */
+  function recordFailedAttempt(order, error, policy = DEFAULT_RETRY_POLICY, now = Date.now()) {
+    const { maxAttempts } = { ...DEFAULT_RETRY_POLICY, ...policy };
+    order.attempts = (order.attempts || 0) + 1;
+    order.lastError = error;
+    order.lastAttemptAt = now;
+
+    if (maxAttempts > 0 && order.attempts >= maxAttempts) {
+      order.status = 'failed';
+      order.failedAt = now;
+      delete order.nextAttemptAt;
+    } else {
+      order.nextAttemptAt = now + getRetryDelayMs(order.attempts, policy);
+    }
+    return order.status;
+  }
+
+  function clearRetryState(order) {
+    delete order.attempts;
+    delete order.lastError;
+    delete order.lastAttemptAt;
+    delete order.nextAttemptAt;
+    delete order.failedAt;
+  }
+
+  // ============================================
+  // EXECUTION JOURNAL
+  // ============================================
+
+  /**
+   * Decide what happened to a buy that was interrupted (tab refresh or crash) from its journal
+   * entry and the vault order cards now listed
+   * - 'not_confirmed': the final click was never made, nothing was bought
+   * - 'placed': exactly one vault order card appeared since the buy started (`vaultOrder`)
+   * - 'review': the buy may or may not have gone through (`reason`)
+   * @param {Object} journal - { finalClickAt, knownVaultOrderIds, dryRun }
+   * @param {Array} vaultOrders - { orderId, status, detailsUrl } parsed from "Your Orders"
+   * @param {Array} orders - All orders, so cards already linked to a fill are not claimed twice
+   * @returns {Object} { outcome, vaultOrder, reason }
+   */
+  function resolveExecutionJournal(journal, vaultOrders, orders) {
+    if (!journal.finalClickAt || journal.dryRun) {
+      return { outcome: 'not_confirmed', vaultOrder: null, reason: null };
+    }
+    const review = (reason) => ({ outcome: 'review', vaultOrder: null, reason });
+    if (!Array.isArray(journal.knownVaultOrderIds)) {
+      return review('vault orders were not recorded before the buy');
+    }
+
+    const linked = new Set(orders.filter(o => o.vaultOrderId).map(o => String(o.vaultOrderId)));
+    const known = new Set(journal.knownVaultOrderIds.map(String));
+    const newOrders = vaultOrders.filter(v => !known.has(String(v.orderId)) && !linked.has(String(v.orderId)));
+
+    if (newOrders.length === 0) return review('no new vault order found after the final click');
+    if (newOrders.length > 1) return review(`${newOrders.length} new vault orders found after the final click`);
+    if (newOrders[0].status === 'unknown') return review(`vault order #${newOrders[0].orderId} has an unrecognised status`);
+    return { outcome: 'placed', vaultOrder: newOrders[0], reason: null };
+  }
+
+  /**
+   * Hold an order whose interrupted buy can't be confirmed either way; it is never retried
+   * automatically and counts as spent until settled
+   */
+  function flagOrderForReview(order, reason, price, now = Date.now()) {
+    order.status = 'review';
+    order.reviewReason = reason;
+    order.reviewPrice = price;
+    order.reviewAt = now;
+  }
+
+  /**
+   * Settle a review order as bought, at the price and time of the interrupted buy
+   */
+  function confirmReviewedFill(order) {
+    markOrderFilled(order, 'executed', order.reviewPrice, order.reviewAt);
+    clearReviewState(order);
+  }
+
+  function clearReviewState(order) {
+    delete order.reviewReason;
+    delete order.reviewPrice;
+    delete order.reviewAt;
+  }
+
+  /**
+   * Whether a journaled buy may still be running in some tab: its last step, final click or
+   * heartbeat is more recent than a lease lifetime. Another tab must not take over until it isn't
+   */
+  function isJournalActive(journal, now = Date.now()) {
+    if (!journal) return false;
+    const times = [journal.startedAt, journal.finalClickAt, journal.heartbeatAt, ...(journal.steps || []).map(s => s.at)];
+    const lastActivity = Math.max(0, ...times.filter(t => typeof t === 'number'));
+    return now - lastActivity < EXECUTOR_LEASE_TTL_MS;
+  }
+
+  // ============================================
+  // REFRESH
+  // ============================================
+
+  /**
+   * The stored refresh strategy, or 'reopen' when unset or unknown
+   * @param {Object} settings
+   * @returns {string}
+   */
+  function getRefreshStrategy(settings) {
+    const strategy = settings && settings.refreshStrategy;
+    return REFRESH_STRATEGIES.includes(strategy) ? strategy : 'reopen';
+  }
+
+  /**
+   * The pending order whose trigger the price is closest to
+   * An armed trailing order counts as at its target. Orders that can't fire on the next refresh are
+   * ignored: no target price, not active yet, waiting out a retry backoff, after fees with no fee
+   * quote yet, or already triggered (still pending at this price means a budget or spend cap is
+   * holding them back)
+   * @returns {Object|null} { order, distancePct } - percent the price sits above the target
+   */
+  function getNearestTarget(orders, headlinePrice, effectivePrice = headlinePrice, now = Date.now()) {
+    let nearest = null;
+    const waiting = getPendingOrders(orders).filter(o => o.targetPrice > 0 && isOrderActive(o, now) &&
+      isOrderRetryDue(o, now) && getOrderPrice(o, headlinePrice, effectivePrice) !== null &&
+      !isOrderTriggered(o, headlinePrice, effectivePrice));
+    for (const order of waiting) {
+      const distancePct = isTrailingOrder(order) && order.armed
+        ? 0
+        : (getOrderPrice(order, headlinePrice, effectivePrice) - order.targetPrice) / order.targetPrice * 100;
+      if (!nearest || distancePct < nearest.distancePct) nearest = { order, distancePct };
+    }
+    return nearest;
+  }
+
+  /**
+   * Work out when to refresh next
+   * Without adaptive polling this is the fixed interval. With it the interval follows the distance
+   * to the nearest target between the floor and ceiling, then is pushed back if another page
+   * load would exceed maxPerHour within any hour.
+   * @param {Object} params
+   * @param {number} params.refreshInterval - Fixed interval in minutes
+   * @param {Object} [params.adaptive] - Adaptive polling settings (see DEFAULT_ADAPTIVE_REFRESH)
+   * @param {Array} [params.orders]
+   * @param {number|null} [params.headlinePrice] - Latest page price, null if none read yet
+   * @param {number} [params.effectivePrice]
+   * @param {number[]} [params.recentLoads] - Timestamps of recent executor page loads
+   * @returns {Object} { intervalMinutes, reason: fixed|no_price|no_targets|near_target|distance|ceiling|hourly_cap, targetPrice?, distancePct? }
+   */
+  function planRefresh({ refreshInterval, adaptive, orders = [], headlinePrice = null, effectivePrice = headlinePrice, recentLoads = [], now = Date.now() }) {
+    const policy = { ...DEFAULT_ADAPTIVE_REFRESH, ...adaptive };
+    if (!policy.enabled) return { intervalMinutes: refreshInterval, reason: 'fixed' };
+
+    const floor = Math.max(MIN_REFRESH_MINUTES, policy.minMinutes);
+    const ceiling = Math.max(floor, policy.maxMinutes);
+    let plan;
+
+    const nearest = headlinePrice > 0 ? getNearestTarget(orders, headlinePrice, effectivePrice, now) : null;
+    if (!(headlinePrice > 0)) {
+      plan = { intervalMinutes: ceiling, reason: 'no_price' };
+    } else if (!nearest) {
+      plan = { intervalMinutes: ceiling, reason: 'no_targets' };
+    } else {
+      const { distancePct } = nearest;
+      const target = { targetPrice: nearest.order.targetPrice, distancePct };
+      if (distancePct <= policy.bandPct) {
+        plan = { intervalMinutes: floor, reason: 'near_target', ...target };
+      } else {
+        const scaled = policy.bandPct > 0 ? floor * distancePct / policy.bandPct : Infinity;
+        plan = scaled < ceiling
+          ? { intervalMinutes: scaled, reason: 'distance', ...target }
+          : { intervalMinutes: ceiling, reason: 'ceiling', ...target };
+      }
+    }
+
+    // The refresh itself is a page load: the maxPerHour-th latest load must be an hour old by then
+    const loads = recentLoads.filter(t => t > now - HOUR_MS).sort((a, b) => a - b);
+    if (policy.maxPerHour > 0 && loads.length >= policy.maxPerHour) {
+      const earliest = loads[loads.length - policy.maxPerHour] + HOUR_MS;
+      if (earliest > now + plan.intervalMinutes * 60000) {
+        plan = { ...plan, intervalMinutes: (earliest - now) / 60000, reason: 'hourly_cap' };
+      }
+    }
+
+    // Whole seconds, rounded up so the cap still holds
+    plan.intervalMinutes = Math.ceil(plan.intervalMinutes * 60) / 60;
+    return plan;
+  }
+
+  /**
+   * Short explanation of a refresh plan for the toolbar and popup
+   */
+  function describeRefreshPlan(plan) {
+    const target = plan.targetPrice !== undefined ? `$${plan.targetPrice.toFixed(2)} target` : '';
+    const distance = plan.distancePct !== undefined
+      ? (plan.distancePct <= 0 ? `at ${target}` : `${plan.distancePct.toFixed(1)}% above ${target}`)
+      : '';
+    switch (plan.reason) {
+      case 'fixed': return 'fixed interval';
+      case 'no_price': return 'no price read yet';
+      case 'no_targets': return 'no pending targets';
+      case 'near_target': return `near target, ${distance}`;
+      case 'distance': return distance;
+      case 'ceiling': return `far from targets, ${distance}`;
+      case 'hourly_cap': return 'hourly refresh cap reached';
+      default: return plan.reason || '';
+    }
+  }
+
+  // ============================================
+  // PORTFOLIO
+  // ============================================
+
+  /**
+   * Portfolio figures derived from executed orders
+   * @param {Array} orders - Executed orders
+   * @param {number|null} currentPrice - Price to value holdings at (P/L is null without one)
+   * @returns {Object} { xchAcquired, totalCost, averagePrice, currentValue, unrealizedPnl, unrealizedPnlPct, savings }
+   */
+  function calculatePortfolioStats(orders, currentPrice) {
+    let xchAcquired = 0;
+    let savings = 0;
+    for (const order of orders) {
+      const price = order.executedPrice || order.targetPrice;
+      // XCH actually received (after fees) when vault's quote was captured
+      const xch = order.amount / (order.effectivePrice || price);
+      xchAcquired += xch;
+      // Value of the XCH at the order's target minus what it actually cost, on the order's own basis
+      const basisPrice = isEffectiveBasis(order) && order.effectivePrice ? order.effectivePrice : price;
+      if (basisPrice < order.targetPrice) {
+        savings += xch * (order.targetPrice - basisPrice);
+      }
+    }
+    const totalCost = sumAmounts(orders);
+
+    const averagePrice = xchAcquired > 0 ? totalCost / xchAcquired : null;
+    const currentValue = currentPrice ? xchAcquired * currentPrice : null;
+    const unrealizedPnl = currentValue !== null ? currentValue - totalCost : null;
+    const unrealizedPnlPct = unrealizedPnl !== null && totalCost > 0 ? (unrealizedPnl / totalCost) * 100 : null;
+
+    return { xchAcquired, totalCost, averagePrice, currentValue, unrealizedPnl, unrealizedPnlPct, savings };
+  }
+
+  const XCHOrderEngine = {
+    ORDER_TYPES,
+    ORDER_STATUSES,
+    VAULT_ORDER_STATUSES,
+    PRICE_BASES,
+    SPEND_CAP_PERIODS,
+    DEFAULT_SPEND_CAPS,
+    DEFAULT_PRICE_GUARD,
+    DEFAULT_RETRY_POLICY,
+    REFRESH_STRATEGIES,
+    REFRESH_STRATEGY_LABELS,
+    DEFAULT_ADAPTIVE_REFRESH,
+    EXECUTOR_LEASE_TTL_MS,
+    toCents,
+    sumAmounts,
+    getPendingOrders,
+    getExecutedOrders,
+    getCommittedOrders,
+    calculateTotalSpent,
+    getRemainingBudget,
+    getSpendCapStatus,
+    isOrderActive,
+    isOrderRetryDue,
+    isEffectiveBasis,
+    getEffectivePrice,
+    getOrderPrice,
+    isTrailingOrder,
+    getTrailTriggerPrice,
+    resetTrailingState,
+    updateTrailingOrders,
+    isOrderTriggered,
+    findExecutableOrders,
+    validateBatchExecution,
+    checkPriceSanity,
+    confirmRejectedReading,
+    countConfirmingReadings,
+    getRequiredConfirmations,
+    getBatchPriceCeilings,
+    checkQuote,
+    expireOrders,
+    toggleOrderPaused,
+    markOrderFilled,
+    recordOrderQuote,
+    requeueOrder,
+    reconcileVaultOrders,
+    getRetryDelayMs,
+    recordFailedAttempt,
+    clearRetryState,
+    resolveExecutionJournal,
+    flagOrderForReview,
+    confirmReviewedFill,
+    isJournalActive,
+    getRefreshStrategy,
+    getNearestTarget,
+    planRefresh,
+    describeRefreshPlan,
+    calculatePortfolioStats
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XCHOrderEngine;
+  } else {
+    root.XCHOrderEngine = XCHOrderEngine;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
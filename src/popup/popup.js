@@ -12,7 +12,13 @@ const executedEl = document.getElementById('executed');
 const spentEl = document.getElementById('spent');
 const maxBudgetEl = document.getElementById('max-budget');
 const refreshEl = document.getElementById('refresh');
+const refreshStrategyEl = document.getElementById('refresh-strategy');
+const refreshReasonEl = document.getElementById('refresh-reason');
 const tabStatusEl = document.getElementById('tab-status');
+const xchAcquiredEl = document.getElementById('xch-acquired');
+const avgPriceEl = document.getElementById('avg-price');
+const pnlEl = document.getElementById('pnl');
+const savingsEl = document.getElementById('savings');
 
 // Track vault tab ID for click-to-switch functionality
 let vaultTabId = null;
@@ -40,8 +46,8 @@ async function updateUI() {
 
     // Update order counts
     if (state.settings?.orders) {
-      const pending = state.settings.orders.filter(o => o.status === 'pending').length;
-      const executed = state.settings.orders.filter(o => o.status === 'executed').length;
+      const pending = XCHOrderEngine.getPendingOrders(state.settings.orders).length;
+      const executed = XCHOrderEngine.getExecutedOrders(state.settings.orders).length;
       pendingEl.textContent = pending;
       executedEl.textContent = executed;
     }
@@ -52,7 +58,27 @@ async function updateUI() {
     // Update max budget
     maxBudgetEl.textContent = `$${(state.settings?.maxBudget || 0).toFixed(2)}`;
 
-    // Update refresh countdown
+    // Update portfolio
+    if (state.portfolio) {
+      const portfolio = state.portfolio;
+      xchAcquiredEl.textContent = portfolio.xchAcquired.toFixed(4);
+      avgPriceEl.textContent = portfolio.averagePrice !== null ? `$${portfolio.averagePrice.toFixed(4)}` : '--';
+      savingsEl.textContent = `$${portfolio.savings.toFixed(2)}`;
+      if (portfolio.unrealizedPnl === null || portfolio.totalCost === 0) {
+        pnlEl.textContent = '--';
+        pnlEl.className = 'value';
+      } else {
+        const sign = portfolio.unrealizedPnl >= 0 ? '+' : '-';
+        pnlEl.textContent = `${sign}$${Math.abs(portfolio.unrealizedPnl).toFixed(2)} (${sign}${Math.abs(portfolio.unrealizedPnlPct).toFixed(1)}%)`;
+        pnlEl.className = portfolio.unrealizedPnl >= 0 ? 'value running' : 'value stopped';
+      }
+    }
+
+    // Update refresh countdown, with why adaptive polling chose the interval
+    const adaptive = { ...XCHOrderEngine.DEFAULT_ADAPTIVE_REFRESH, ...state.settings?.adaptiveRefresh };
+    refreshReasonEl.textContent = alarmStatus.scheduled && adaptive.enabled && alarmStatus.reason
+      ? `Every ${formatInterval(alarmStatus.intervalMinutes)}: ${alarmStatus.reason}`
+      : '';
     if (alarmStatus.scheduled && alarmStatus.remainingMinutes !== null) {
       const mins = alarmStatus.remainingMinutes;
       if (mins <= 0) {
@@ -65,9 +91,10 @@ async function updateUI() {
     } else {
       refreshEl.textContent = '--';
     }
+    refreshStrategyEl.textContent = XCHOrderEngine.REFRESH_STRATEGY_LABELS[XCHOrderEngine.getRefreshStrategy(state.settings)];
 
     // Check for vault tab
-    await updateTabStatus();
+    await updateTabStatus(state.executorTabId);
 
   } catch (e) {
     console.error('[Popup] Error updating UI:', e);
@@ -77,16 +104,27 @@ async function updateUI() {
 }
 
 /**
- * Check if vault tab is open
+ * Readable refresh interval ("45 sec", "1 min", "2.5 mins")
+ */
+function formatInterval(minutes) {
+  if (!minutes) return '--';
+  if (minutes < 1) return `${Math.round(minutes * 60)} sec`;
+  const rounded = Math.round(minutes * 10) / 10;
+  return rounded === 1 ? '1 min' : `${rounded} mins`;
+}
+
+/**
+ * Check if vault tab is open, preferring the tab that executes orders
+ * @param {number|null} executorTabId - Tab holding the executor lease
  */
-async function updateTabStatus() {
+async function updateTabStatus(executorTabId) {
   try {
     const tabs = await browserAPI.tabs.query({
       url: 'https://vault.chia.net/buy-xch*'
     });
 
     if (tabs.length > 0) {
-      vaultTabId = tabs[0].id;
+      vaultTabId = (tabs.find(tab => tab.id === executorTabId) || tabs[0]).id;
       tabStatusEl.textContent = 'Go Vault Tab';
       tabStatusEl.className = 'tab-status active clickable';
     } else {
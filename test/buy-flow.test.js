@@ -0,0 +1,388 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_FLOW, resolveFlow, validateFlow } = require('../src/lib/buy-flow.js');
+const { testProfile, loadVaultFixture } = require('./helpers/vault-fixture.js');
+
+// Vault's real order summary has not been captured, so quote tests render their own rows
+// and read them through a profile with matching selectors and labels
+const QUOTE_PROFILE = {
+  selectors: { quoteRow: 'div.test-quote-row' },
+  texts: { quoteUsdLabel: 'Total', quoteXchLabel: 'Amount', quotePriceLabel: 'Rate', quoteFeeLabel: 'Fees' }
+};
+
+function quoteSummary({ price, feePct = 0, amountOffset = 0 }) {
+  return (amount) => {
+    const usd = amount + amountOffset;
+    const fee = usd * feePct / 100;
+    const row = (label, value) => `<div class="test-quote-row"><span>${label}</span><span>${value}</span></div>`;
+    return [
+      row('Total', `$${usd.toFixed(2)}`),
+      row('Rate', `$${price.toFixed(2)}`),
+      row('Fees', `$${fee.toFixed(2)}`),
+      row('Amount', `${((usd - fee) / price).toFixed(4)} XCH`)
+    ].join('');
+  };
+}
+
+describe('buy flow against the vault fixture', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await loadVaultFixture();
+  });
+
+  afterEach(() => {
+    ctx.window.close();
+  });
+
+  test('places an order through all three steps', async () => {
+    const { flow, fixture } = ctx;
+    const steps = [];
+    let placedAtFinalClick = null;
+
+    await flow.runFlow({
+      amount: 50,
+      onStep: (stepNumber) => steps.push(stepNumber),
+      onFinalClick: () => { placedAtFinalClick = fixture.placedOrders.length; }
+    });
+
+    assert.deepEqual(steps, [1, 2, 3]);
+    assert.equal(placedAtFinalClick, 0);
+    assert.equal(fixture.placedOrders.length, 1);
+    assert.equal(fixture.placedOrders[0].orderId, '1001');
+    assert.equal(fixture.placedOrders[0].amount, 50);
+    assert.equal(fixture.getDialog(), null);
+    assert.deepEqual(flow.getLatestVaultOrder(), {
+      orderId: '1001',
+      detailsUrl: 'https://vault.chia.net/buy-xch/BuyOrder_1001'
+    });
+  });
+
+  test('dry run dismisses the dialog without placing an order', async () => {
+    const { flow, fixture, logs } = ctx;
+
+    let finalClicks = 0;
+    await flow.runFlow({ amount: 50, dryRun: true, onFinalClick: () => finalClicks++ });
+
+    assert.equal(finalClicks, 0);
+    assert.equal(fixture.placedOrders.length, 0);
+    assert.equal(fixture.getDialog(), null);
+    assert.equal(flow.getLatestVaultOrder(), null);
+    assert.ok(logs.includes('Dry run: confirmation dialog dismissed'));
+  });
+
+  test('reads the payment quote and the confirmation quote before confirming', async () => {
+    ctx.window.close();
+    ctx = await loadVaultFixture({ config: { summary: quoteSummary({ price: 4.5, feePct: 1 }) }, profile: QUOTE_PROFILE });
+    const quotes = [];
+    const stages = [];
+
+    await ctx.flow.runFlow({ amount: 1000, onQuote: (quote, stage) => { quotes.push(quote); stages.push(stage); } });
+
+    assert.deepEqual(stages, ['preview', 'confirm']);
+    assert.equal(quotes[1].usdAmount, 1000);
+    assert.equal(quotes[1].quotedPrice, 4.5);
+    assert.equal(quotes[1].fees, 10);
+    assert.equal(quotes[1].xchAmount, 220);
+    assert.equal(quotes[0].xchAmount, 220);
+    assert.equal(ctx.fixture.placedOrders.length, 1);
+  });
+
+  test('the payment quote only reads rows from the payment step', async () => {
+    ctx.window.close();
+    ctx = await loadVaultFixture({ profile: QUOTE_PROFILE });
+    const { flow, fixture } = ctx;
+    fixture.addOrderCard(900, 'COMPLETED').insertAdjacentHTML('beforeend', quoteSummary({ price: 4.79 })(999));
+    const quotes = [];
+
+    await flow.runFlow({ amount: 50, dryRun: true, onQuote: (quote, stage) => { if (stage === 'preview') quotes.push(quote); } });
+    assert.deepEqual(quotes, [{ usdAmount: null, xchAmount: null, quotedPrice: null, fees: null }]);
+
+    fixture.reset({ summary: quoteSummary({ price: 4.79 }) });
+    quotes.length = 0;
+
+    await flow.runFlow({ amount: 50, dryRun: true, onQuote: (quote, stage) => { if (stage === 'preview') quotes.push(quote); } });
+    assert.equal(quotes[0].usdAmount, 50);
+  });
+
+  test('a rejected payment quote stops before the dialog opens', async () => {
+    const { flow, fixture } = ctx;
+
+    await assert.rejects(
+      flow.runFlow({ amount: 50, onQuote: (quote, stage) => { if (stage === 'preview') throw new Error('QUOTE_PRICE'); } }),
+      { message: 'QUOTE_PRICE' }
+    );
+
+    assert.equal(fixture.getDialog(), null);
+    assert.equal(fixture.placedOrders.length, 0);
+  });
+
+  test('a rejected quote closes the dialog without placing an order', async () => {
+    ctx.window.close();
+    ctx = await loadVaultFixture({ config: { summary: quoteSummary({ price: 4.79, amountOffset: 5 }) }, profile: QUOTE_PROFILE });
+    const { flow, fixture, logs } = ctx;
+
+    await assert.rejects(
+      flow.runFlow({ amount: 50, onQuote: (quote, stage) => { if (stage === 'confirm' && quote.usdAmount !== 50) throw new Error('QUOTE_AMOUNT'); } }),
+      { message: 'QUOTE_AMOUNT' }
+    );
+
+    assert.equal(fixture.placedOrders.length, 0);
+    assert.equal(fixture.getDialog(), null);
+    assert.ok(logs.includes('Quote rejected: confirmation dialog dismissed'));
+  });
+
+  test('missing summary rows read as null', async () => {
+    const { flow } = ctx;
+    const quotes = [];
+
+    await flow.runFlow({ amount: 50, dryRun: true, onQuote: (quote) => quotes.push(quote) });
+
+    assert.equal(quotes.length, 2);
+    assert.equal(quotes[1].usdAmount, null);
+    assert.equal(quotes[1].xchAmount, null);
+  });
+
+  test('step 1 rejects with USER_DAILY_LIMIT when the amount exceeds the user limit', async () => {
+    ctx.fixture.setDailyLimit('user');
+    await assert.rejects(ctx.flow.runFlow({ amount: 50 }), { message: 'USER_DAILY_LIMIT' });
+  });
+
+  test('step 1 rejects with SYSTEM_DAILY_LIMIT when the system limit is reached', async () => {
+    ctx.fixture.setDailyLimit('system');
+    await assert.rejects(ctx.flow.runFlow({ amount: 50 }), { message: 'SYSTEM_DAILY_LIMIT' });
+  });
+
+  test('step 1 times out when Next never enables', async () => {
+    ctx.window.close();
+    ctx = await loadVaultFixture({ config: { nextNeverEnables: true }, profile: { timings: { stepTimeout: 200 } } });
+
+    await assert.rejects(ctx.flow.runFlow({ amount: 50 }), /Timeout waiting for enabled button "Next"/);
+  });
+
+  test('step 1 fails fast when the amount input is missing', async () => {
+    ctx.window.document.querySelector('input.is_Input').remove();
+    await assert.rejects(ctx.flow.runFlow({ amount: 50 }), { message: 'Element not found: amountInput' });
+  });
+});
+
+describe('flow profiles', () => {
+  let ctx;
+
+  afterEach(() => {
+    ctx.window.close();
+  });
+
+  test('a renamed input class is patched with a selector override', async () => {
+    const config = { amountInputClass: 'is_TextField' };
+
+    ctx = await loadVaultFixture({ config });
+    await assert.rejects(ctx.flow.runFlow({ amount: 50 }), { message: 'Element not found: amountInput' });
+    ctx.window.close();
+
+    ctx = await loadVaultFixture({
+      config,
+      profile: { selectors: { amountInput: 'input.is_TextField[inputmode="decimal"]' } }
+    });
+    await ctx.flow.runFlow({ amount: 50 });
+    assert.equal(ctx.fixture.placedOrders.length, 1);
+  });
+
+  test('a renamed button is patched with a text override', async () => {
+    ctx = await loadVaultFixture({
+      config: { buyButtonText: 'Purchase XCH' },
+      profile: { texts: { buyButton: 'Purchase XCH' } }
+    });
+    await ctx.flow.runFlow({ amount: 50 });
+    assert.equal(ctx.fixture.placedOrders.length, 1);
+  });
+
+  test('setFlow keeps the current flow when a selector does not parse', async () => {
+    ctx = await loadVaultFixture();
+    const before = ctx.flow.getFlow();
+
+    const errors = ctx.flow.setFlow(resolveFlow(testProfile({ selectors: { dialog: 'dialog[' } })));
+
+    assert.deepEqual(errors, ['selectors.dialog is not a valid CSS selector']);
+    assert.equal(ctx.flow.getFlow(), before);
+  });
+});
+
+describe('flow definition', () => {
+  test('the default flow is valid', () => {
+    assert.deepEqual(validateFlow(DEFAULT_FLOW), []);
+  });
+
+  test('resolveFlow merges selectors, texts and timings over the default', () => {
+    const flow = resolveFlow(testProfile({ selectors: { dialog: 'div[role="dialog"]' } }));
+    assert.equal(flow.selectors.dialog, 'div[role="dialog"]');
+    assert.equal(flow.selectors.amountInput, DEFAULT_FLOW.selectors.amountInput);
+    assert.equal(flow.texts.buyButton, 'Buy XCH');
+    assert.equal(flow.steps, DEFAULT_FLOW.steps);
+  });
+
+  test('rejects profiles for another format or a newer version', () => {
+    assert.deepEqual(validateFlow(resolveFlow({ format: 'other', version: 1 })), ['format must be "xch-buy-flow"']);
+    assert.deepEqual(
+      validateFlow(resolveFlow({ format: 'xch-buy-flow', version: 2 })),
+      ['version 2 is newer than this extension supports (1)']
+    );
+    assert.deepEqual(validateFlow([]), ['Flow must be a JSON object']);
+  });
+
+  test('rejects unknown references and actions', () => {
+    const errors = validateFlow(resolveFlow(testProfile({
+      steps: [{
+        name: 'Broken',
+        actions: [
+          { type: 'fill', target: 'missing', value: '{amount}' },
+          { type: 'hover' },
+          { type: 'sleep', duration: 'toString' },
+          { type: 'readQuote', target: 'quoteRow', near: 'missing', stage: 'preview' },
+          { type: 'readQuote', target: 'quoteRow', within: 'dialog' },
+          { type: 'click', button: 'nextButton', final: true }
+        ]
+      }]
+    })));
+    assert.deepEqual(errors, [
+      'Step 1 action 1: target "missing" is not a known selector',
+      'Step 1 action 2: type must be one of fill, click, waitFor, checkAll, readQuote, sleep',
+      'Step 1 action 3: sleep needs a duration',
+      'Step 1 action 4: near "missing" is not a known text'
+    ]);
+  });
+
+  test('requires the final click to be the last action so dry run stops before it', () => {
+    const withoutFinal = DEFAULT_FLOW.steps.map(step => ({
+      ...step,
+      actions: step.actions.map(({ final, ...action }) => action)
+    }));
+    assert.deepEqual(validateFlow(resolveFlow(testProfile({ steps: withoutFinal }))), [
+      'exactly one action must be marked final (the click that places the order)'
+    ]);
+
+    const finalTooEarly = [
+      { name: 'Confirm', actions: [{ type: 'readQuote', target: 'quoteRow' }, { type: 'click', button: 'nextButton', final: true }] },
+      { name: 'After', actions: [{ type: 'sleep', duration: 0 }] }
+    ];
+    assert.deepEqual(validateFlow(resolveFlow(testProfile({ steps: finalTooEarly }))), [
+      'the final action must be the last click of the last step'
+    ]);
+  });
+
+  test('requires the dialog quote to be read before the final click', () => {
+    const withoutQuote = DEFAULT_FLOW.steps.map(step => ({
+      ...step,
+      actions: step.actions.filter(action => action.type !== 'readQuote')
+    }));
+    assert.deepEqual(validateFlow(resolveFlow(testProfile({ steps: withoutQuote }))), [
+      'Step 3 action 4: a confirm-stage readQuote action must come before the final click'
+    ]);
+  });
+});
+
+describe('DOM helpers', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await loadVaultFixture();
+  });
+
+  afterEach(() => {
+    ctx.window.close();
+  });
+
+  test('isButtonEnabled follows aria-disabled and the gray button theme', () => {
+    const { flow, window } = ctx;
+    const button = window.document.querySelector('button.is_Button');
+
+    assert.equal(flow.isButtonEnabled(null), false);
+    assert.equal(flow.isButtonEnabled(button), false);
+
+    button.removeAttribute('aria-disabled');
+    assert.equal(flow.isButtonEnabled(button), false, 'gray theme still means disabled');
+
+    button.parentElement.className = 't_green_Button';
+    assert.equal(flow.isButtonEnabled(button), true);
+  });
+
+  test('checkForDailyLimitError reads the red error text', () => {
+    const { flow, window } = ctx;
+    const errorEl = window.document.getElementById('fixture-error');
+
+    assert.equal(flow.checkForDailyLimitError(), null);
+
+    errorEl.textContent = 'Amount exceeds your daily limit';
+    assert.equal(flow.checkForDailyLimitError(), 'USER_DAILY_LIMIT');
+
+    errorEl.textContent = 'Amount exceeds system daily limit';
+    assert.equal(flow.checkForDailyLimitError(), 'SYSTEM_DAILY_LIMIT');
+  });
+
+  test('getLatestVaultOrder ignores cards that are not IN PROGRESS', () => {
+    const { flow, fixture } = ctx;
+
+    fixture.addOrderCard(900, 'COMPLETED');
+    assert.equal(flow.getLatestVaultOrder(), null);
+
+    fixture.addOrderCard(901, 'IN PROGRESS');
+    fixture.addOrderCard(902, 'FAILED');
+    assert.deepEqual(flow.getLatestVaultOrder(), {
+      orderId: '901',
+      detailsUrl: 'https://vault.chia.net/buy-xch/BuyOrder_901'
+    });
+  });
+
+  test('getVaultOrders parses every card with its status', () => {
+    const { flow, fixture } = ctx;
+    assert.deepEqual(flow.getVaultOrders(), []);
+
+    fixture.addOrderCard(900, 'COMPLETED');
+    fixture.addOrderCard(901, 'FAILED');
+    fixture.addOrderCard(902, 'CANCELLED');
+    fixture.addOrderCard(903, 'IN PROGRESS');
+    fixture.addOrderCard(904, 'ON HOLD');
+    assert.deepEqual(flow.getVaultOrders().map(o => [o.orderId, o.status]), [
+      ['904', 'unknown'], ['903', 'in_progress'], ['902', 'cancelled'], ['901', 'failed'], ['900', 'completed']
+    ]);
+    assert.equal(flow.getVaultOrders()[4].detailsUrl, 'https://vault.chia.net/buy-xch/BuyOrder_900');
+  });
+
+  test('checkPageHealth passes on the details step', () => {
+    const results = ctx.flow.checkPageHealth();
+    assert.deepEqual(results.map(r => [r.id, r.ok]), [['amountInput', true], ['nextButton', true], ['orderCards', true]]);
+    assert.equal(results.find(r => r.id === 'orderCards').detail, 'none listed');
+  });
+
+  test('checkPageHealth flags missing critical elements', () => {
+    const { flow, window } = ctx;
+    window.document.querySelector('input.is_Input').remove();
+    window.document.querySelector('button.is_Button').textContent = 'Continue';
+
+    const failed = flow.checkPageHealth().filter(r => !r.ok);
+    assert.deepEqual(failed.map(r => [r.id, r.critical]), [['amountInput', true], ['nextButton', true]]);
+  });
+
+  test('checkPageHealth reports order cards it cannot parse as non-critical', () => {
+    const { flow, fixture } = ctx;
+    fixture.addOrderCard(901, 'COMPLETED');
+    fixture.addOrderCard(902, 'IN PROGRESS').querySelector('a').remove();
+
+    const cards = flow.checkPageHealth().find(r => r.id === 'orderCards');
+    assert.equal(cards.ok, false);
+    assert.equal(cards.critical, false);
+    assert.equal(cards.detail, '1 of 2 missing card or details link');
+  });
+
+  test('waitForElementRemoved resolves when the dialog closes', async () => {
+    const { flow, window } = ctx;
+    const dialog = window.document.createElement('dialog');
+    dialog.className = 'is_DialogContent';
+    dialog.setAttribute('data-state', 'open');
+    window.document.body.appendChild(dialog);
+
+    const removed = flow.waitForElementRemoved('dialog.is_DialogContent[data-state="open"]', 500);
+    dialog.setAttribute('data-state', 'closed');
+    await removed;
+  });
+});
@@ -0,0 +1,92 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentPage } = require('./helpers/content-page.js');
+
+describe('order rows', () => {
+  let page;
+
+  afterEach(() => {
+    page.window.close();
+  });
+
+  test('shows failed attempts with the last error as the tooltip', async () => {
+    page = await loadContentPage({
+      storage: {
+        settings: {
+          maxBudget: 1000,
+          orders: [{
+            id: 'abc123',
+            type: 'limit',
+            targetPrice: 4.3,
+            amount: 50,
+            status: 'pending',
+            attempts: 2,
+            lastError: 'Step 2 "Continue" not found <timeout>',
+            nextAttemptAt: Date.now() + 60000
+          }]
+        }
+      }
+    });
+
+    const retry = page.document.querySelector('#xch-orders-pending-list .xch-order-retry');
+    assert.ok(retry);
+    assert.equal(retry.getAttribute('title'), 'Step 2 "Continue" not found <timeout>');
+    assert.match(retry.textContent, /^2 failed attempt\(s\) · retry /);
+  });
+
+  test('after-fees orders show they are waiting for a fee quote', async () => {
+    const orders = [{ id: 'fee1', type: 'limit', targetPrice: 4.3, amount: 50, status: 'pending', priceBasis: 'effective' }];
+    page = await loadContentPage({ storage: { settings: { maxBudget: 1000, orders } } });
+    assert.match(page.document.getElementById('xch-orders-pending-list').textContent, /waiting for a fee quote/);
+    page.window.close();
+
+    const feeQuote = { headlinePrice: 4.9, effectivePrice: 5, fees: 2, amount: 100, capturedAt: Date.now() };
+    page = await loadContentPage({ storage: { settings: { maxBudget: 1000, orders }, feeQuote } });
+    assert.doesNotMatch(page.document.getElementById('xch-orders-pending-list').textContent, /waiting for a fee quote/);
+  });
+});
+
+describe('settings import', () => {
+  let page;
+
+  afterEach(() => {
+    page.window.close();
+  });
+
+  async function importFile(settings) {
+    const { window, document } = page;
+    const input = document.getElementById('xch-import-file');
+    const data = { format: 'xch-limit-orders-settings', version: 1, settings };
+    Object.defineProperty(input, 'files', { value: [{ name: 'backup.json', text: async () => JSON.stringify(data) }] });
+    input.dispatchEvent(new window.Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  test('rejects non-boolean modes and unknown notifications', async () => {
+    page = await loadContentPage({ storage: { settings: { maxBudget: 1000, orders: [] } } });
+
+    await importFile({ maxBudget: 1000, refreshInterval: 5, orders: [], dryRun: 'yes', requeueRefunded: 1, notifications: { fill: 'off', bogus: true } });
+
+    const preview = page.document.getElementById('xch-import-preview').textContent;
+    assert.match(preview, /dryRun must be true or false/);
+    assert.match(preview, /requeueRefunded must be true or false/);
+    assert.match(preview, /notifications\.fill must be true or false/);
+    assert.match(preview, /notifications\.bogus is not a known notification/);
+  });
+
+  test('replace updates the dry run switch, its badge and the notification toggles', async () => {
+    page = await loadContentPage({ storage: { settings: { maxBudget: 1000, orders: [] } } });
+    const { document } = page;
+    assert.equal(document.getElementById('xch-dry-run-badge').style.display, 'none');
+
+    await importFile({ maxBudget: 500, refreshInterval: 5, orders: [], dryRun: true, requeueRefunded: true, notifications: { fill: false } });
+    document.getElementById('xch-btn-import-replace').click();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(page.storage.settings.dryRun, true);
+    assert.equal(document.getElementById('xch-dry-run').checked, true);
+    assert.equal(document.getElementById('xch-dry-run-badge').style.display, '');
+    assert.equal(document.getElementById('xch-requeue-refunded').checked, true);
+    assert.equal(document.querySelector('.xch-notify-toggle[data-event="fill"]').checked, false);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Vault page fixture behaviour
+ * Mirrors the state transitions of the real buy flow:
+ * Step 1 (amount + Next) -> Step 2 (Buy XCH) -> confirmation dialog -> order card
+ */
+
+(function() {
+  'use strict';
+
+  const DEFAULT_CONFIG = {
+    price: 4.79,
+    minAmount: 25,
+    enableDelay: 50,     // ms before a button turns enabled after its precondition is met
+    dailyLimit: null,    // 'user' | 'system' - show the red limit error instead of enabling Next
+    nextNeverEnables: false,
+    // Order summary markup, (amount) => html, shown on the payment step and in the dialog.
+    // Vault's real summary has not been captured, so quote tests supply their own
+    summary: null,
+    // Simulate vault-side DOM changes that a flow profile has to patch
+    amountInputClass: 'is_Input',
+    buyButtonText: 'Buy XCH'
+  };
+
+  const DAILY_LIMIT_TEXT = {
+    user: 'Amount exceeds your daily limit',
+    system: 'Amount exceeds system daily limit'
+  };
+
+  const STATUS_THEMES = {
+    'IN PROGRESS': 't_blue',
+    'COMPLETED': 't_green',
+    'FAILED': 't_red',
+    'CANCELLED': 't_gray'
+  };
+
+  const flowEl = document.getElementById('buy-flow');
+  const cardsEl = document.getElementById('order-cards');
+
+  const fixture = {
+    config: { ...DEFAULT_CONFIG },
+    placedOrders: [],
+    nextOrderId: 1001,
+    currentAmount: null,
+
+    reset(config = {}) {
+      this.config = { ...DEFAULT_CONFIG, ...config };
+      this.placedOrders = [];
+      this.nextOrderId = 1001;
+      this.currentAmount = null;
+      cardsEl.innerHTML = '';
+      closeDialog();
+      renderDetailsStep();
+    },
+
+    setPrice(price) {
+      this.config.price = price;
+      const priceEl = document.getElementById('fixture-price');
+      if (priceEl) priceEl.textContent = `1 XCH = $${price.toFixed(2)}`;
+    },
+
+    setDailyLimit(kind) {
+      this.config.dailyLimit = kind;
+    },
+
+    /**
+     * Add an order card to "Your Orders" (newest first, like the vault)
+     */
+    addOrderCard(orderId, status = 'IN PROGRESS') {
+      const card = document.createElement('div');
+      card.className = '_btlr-t-radius-4 _bblr-b-radius-4 is_YStack';
+      card.innerHTML = `
+        <div class="is_XStack">
+          <span class="is_UIText">Order #${orderId}</span>
+          <span class="t_sub_theme ${STATUS_THEMES[status] || 't_gray'}"><span class="is_UIText">${status}</span></span>
+        </div>
+        <a href="/buy-xch/BuyOrder_${orderId}">View Details</a>
+      `;
+      cardsEl.prepend(card);
+      return card;
+    },
+
+    getDialog() {
+      return document.querySelector('dialog.is_DialogContent');
+    }
+  };
+
+  /**
+   * Themed button as rendered by vault: disabled buttons sit in a t_gray_Button span
+   */
+  function themedButton(text) {
+    const wrapper = document.createElement('span');
+    wrapper.className = 't_gray_Button';
+    const button = document.createElement('button');
+    button.className = 'is_Button';
+    button.setAttribute('aria-disabled', 'true');
+    button.textContent = text;
+    wrapper.appendChild(button);
+    return { wrapper, button };
+  }
+
+  function setButtonEnabled(button, enabled) {
+    const wrapper = button.parentElement;
+    if (enabled) {
+      button.removeAttribute('aria-disabled');
+      wrapper.className = 't_green_Button';
+    } else {
+      button.setAttribute('aria-disabled', 'true');
+      wrapper.className = 't_gray_Button';
+    }
+  }
+
+  function renderDetailsStep() {
+    flowEl.innerHTML = `
+      <span class="is_UIText">Enter amount</span>
+      <input class="${fixture.config.amountInputClass}" inputmode="decimal" placeholder="0.00">
+      <span class="is_UIText" id="fixture-price">1 XCH = $${fixture.config.price.toFixed(2)}</span>
+      <span class="_col-red10" id="fixture-error"></span>
+    `;
+    const { wrapper, button } = themedButton('Next');
+    flowEl.appendChild(wrapper);
+
+    const input = flowEl.querySelector('input');
+    const errorEl = flowEl.querySelector('#fixture-error');
+    let enableTimer = null;
+
+    input.addEventListener('input', () => {
+      clearTimeout(enableTimer);
+      setButtonEnabled(button, false);
+      errorEl.textContent = '';
+
+      const amount = parseFloat(input.value);
+      if (!(amount >= fixture.config.minAmount)) return;
+
+      enableTimer = setTimeout(() => {
+        if (fixture.config.dailyLimit) {
+          errorEl.textContent = DAILY_LIMIT_TEXT[fixture.config.dailyLimit];
+          return;
+        }
+        if (fixture.config.nextNeverEnables) return;
+        fixture.currentAmount = amount;
+        setButtonEnabled(button, true);
+      }, fixture.config.enableDelay);
+    });
+
+    button.addEventListener('click', () => {
+      if (button.getAttribute('aria-disabled') === 'true') return;
+      renderPaymentStep();
+    });
+  }
+
+  function renderPaymentStep() {
+    flowEl.innerHTML = `
+      <span class="is_UIText">Payment method</span>
+      <span class="is_UIText">ACH bank transfer</span>
+      ${quoteSummary()}
+    `;
+    const { wrapper, button } = themedButton(fixture.config.buyButtonText);
+    flowEl.appendChild(wrapper);
+
+    setTimeout(() => setButtonEnabled(button, true), fixture.config.enableDelay);
+
+    button.addEventListener('click', () => {
+      if (button.getAttribute('aria-disabled') === 'true') return;
+      openDialog();
+    });
+  }
+
+  function quoteSummary() {
+    return fixture.config.summary ? fixture.config.summary(fixture.currentAmount) : '';
+  }
+
+  function openDialog() {
+    const dialog = document.createElement('dialog');
+    dialog.className = 'is_DialogContent';
+    dialog.setAttribute('data-state', 'open');
+    dialog.innerHTML = `
+      <span class="is_UIText">Confirm your purchase</span>
+      ${quoteSummary()}
+      <button type="button" role="checkbox" id="confirmation-checkbox" data-state="unchecked"></button>
+      <span class="is_UIText">I authorize the ACH debit</span>
+      <button type="button" role="checkbox" id="confirmation-checkbox" data-state="unchecked"></button>
+      <span class="is_UIText">I understand purchases are final</span>
+    `;
+    const { wrapper, button } = themedButton('Next');
+    dialog.appendChild(wrapper);
+
+    const checkboxes = dialog.querySelectorAll('#confirmation-checkbox');
+    checkboxes.forEach(checkbox => {
+      checkbox.addEventListener('click', () => {
+        const checked = checkbox.getAttribute('data-state') === 'checked';
+        checkbox.setAttribute('data-state', checked ? 'unchecked' : 'checked');
+        const allChecked = Array.from(checkboxes).every(cb => cb.getAttribute('data-state') === 'checked');
+        setButtonEnabled(button, false);
+        if (allChecked) {
+          setTimeout(() => setButtonEnabled(button, true), fixture.config.enableDelay);
+        }
+      });
+    });
+
+    button.addEventListener('click', () => {
+      if (button.getAttribute('aria-disabled') === 'true') return;
+      const orderId = fixture.nextOrderId++;
+      fixture.placedOrders.push({ orderId: String(orderId), amount: fixture.currentAmount });
+      closeDialog();
+      fixture.addOrderCard(orderId, 'IN PROGRESS');
+      renderDetailsStep();
+    });
+
+    document.body.appendChild(dialog);
+  }
+
+  function closeDialog() {
+    const dialog = fixture.getDialog();
+    if (dialog) {
+      dialog.setAttribute('data-state', 'closed');
+      dialog.remove();
+    }
+  }
+
+  // Escape closes the dialog without placing an order
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeDialog();
+  });
+
+  window.vaultFixture = fixture;
+  renderDetailsStep();
+})();
@@ -0,0 +1,88 @@
+/**
+ * Load the content scripts into a bare vault page with an in-memory browser API
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const VAULT_URL = 'https://vault.chia.net/buy-xch';
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function createStorageArea(data, areaName, changeListeners) {
+  return {
+    async get(keys) {
+      if (keys === null || keys === undefined) return clone(data);
+      const result = {};
+      for (const key of Array.isArray(keys) ? keys : [keys]) {
+        if (key in data) result[key] = clone(data[key]);
+      }
+      return result;
+    },
+    async set(items) {
+      const changes = {};
+      for (const [key, value] of Object.entries(items)) {
+        changes[key] = { newValue: clone(value) };
+        data[key] = clone(value);
+      }
+      changeListeners.forEach(listener => listener(changes, areaName));
+    },
+    async remove(keys) {
+      for (const key of Array.isArray(keys) ? keys : [keys]) delete data[key];
+    }
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Initial browser.storage.local contents
+ * @returns {Promise<{window: Window, document: Document, storage: Object, messages: Object[]}>}
+ */
+async function loadContentPage({ storage = {} } = {}) {
+  const dom = new JSDOM('<!DOCTYPE html><body><span class="is_UIText">1 XCH = $4.79</span></body>', {
+    url: VAULT_URL,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+
+  const local = clone(storage);
+  const messages = [];
+  const changeListeners = [];
+  window.browser = {
+    storage: {
+      local: createStorageArea(local, 'local', changeListeners),
+      session: createStorageArea({}, 'session', changeListeners),
+      onChanged: { addListener: listener => changeListeners.push(listener) }
+    },
+    runtime: {
+      sendMessage: async (message) => {
+        messages.push(message);
+        if (message.type === 'CLAIM_LEASE') return { leader: true, expiresAt: Date.now() + 150000 };
+        return { success: true };
+      },
+      onMessage: { addListener: () => {} },
+      getURL: resource => resource
+    }
+  };
+  window.console.log = () => {};
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  for (const script of manifest.content_scripts[0].js) {
+    window.eval(fs.readFileSync(path.join(ROOT, script), 'utf8'));
+  }
+
+  // init() is async; the order list is the last thing the toolbar renders
+  const deadline = Date.now() + 2000;
+  while (!window.document.getElementById('xch-orders-pending-list') && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  return { window, document: window.document, storage: local, messages };
+}
+
+module.exports = { loadContentPage };
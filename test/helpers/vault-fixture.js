@@ -0,0 +1,56 @@
+/**
+ * Load the offline vault page fixture into jsdom and bind the buy flow to it
+ */
+
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const { FLOW_FORMAT, FLOW_VERSION, resolveFlow, createBuyFlow } = require('../../src/lib/buy-flow.js');
+
+const FIXTURE_PATH = path.join(__dirname, '..', 'fixtures', 'vault-page.html');
+
+// No pauses between steps and short waits so failures surface quickly
+const TEST_TIMINGS = { stepDelay: 0, stepTimeout: 2000, checkboxTimeout: 2000 };
+
+/**
+ * Build a flow profile on top of the test timings
+ */
+function testProfile(overrides = {}) {
+  return {
+    format: FLOW_FORMAT,
+    version: FLOW_VERSION,
+    name: 'test',
+    ...overrides,
+    timings: { ...TEST_TIMINGS, ...overrides.timings }
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Overrides for window.vaultFixture.config
+ * @param {Object} [options.profile] - Flow profile overrides (see testProfile)
+ * @returns {Promise<{dom: JSDOM, window: Window, fixture: Object, flow: Object, logs: string[]}>}
+ */
+async function loadVaultFixture({ config = {}, profile = {} } = {}) {
+  const dom = await JSDOM.fromFile(FIXTURE_PATH, {
+    runScripts: 'dangerously',
+    resources: 'usable',
+    pretendToBeVisual: true
+  });
+
+  await new Promise(resolve => dom.window.addEventListener('load', resolve));
+
+  const fixture = dom.window.vaultFixture;
+  fixture.reset(config);
+
+  const logs = [];
+  const flow = createBuyFlow({
+    window: dom.window,
+    log: (message) => logs.push(message),
+    logWarn: (message) => logs.push(`WARN: ${message}`),
+    flow: resolveFlow(testProfile(profile))
+  });
+
+  return { dom, window: dom.window, fixture, flow, logs };
+}
+
+module.exports = { FIXTURE_PATH, testProfile, loadVaultFixture };
@@ -0,0 +1,613 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../src/lib/order-engine.js');
+
+let nextId = 1;
+function order(fields) {
+  return { id: String(nextId++), type: 'limit', status: 'pending', ...fields };
+}
+
+describe('budget math', () => {
+  test('sums amounts in cents without floating-point drift', () => {
+    const orders = [order({ amount: 0.1 }), order({ amount: 0.2 })];
+    assert.equal(engine.sumAmounts(orders), 0.3);
+
+    const repeated = Array.from({ length: 10 }, () => order({ amount: 25.1 }));
+    assert.equal(engine.sumAmounts(repeated), 251);
+  });
+
+  test('calculateTotalSpent only counts executed orders', () => {
+    const orders = [
+      order({ amount: 33.33, status: 'executed' }),
+      order({ amount: 33.33, status: 'executed' }),
+      order({ amount: 33.34, status: 'executed' }),
+      order({ amount: 50, status: 'simulated' }),
+      order({ amount: 50, status: 'pending' })
+    ];
+    assert.equal(engine.calculateTotalSpent(orders), 100);
+  });
+
+  test('getRemainingBudget is exact and never negative', () => {
+    assert.equal(engine.getRemainingBudget(100, 66.67), 33.33);
+    assert.equal(engine.getRemainingBudget(100, 100), 0);
+    assert.equal(engine.getRemainingBudget(100, 120), 0);
+  });
+});
+
+describe('validateBatchExecution', () => {
+  test('takes the whole batch when it fits exactly', () => {
+    // 0.1 + 0.2 > 0.3 in floating point; the last cent of budget must still be usable
+    const orders = [order({ targetPrice: 5, amount: 25.1 }), order({ targetPrice: 5, amount: 25.2 })];
+    const batch = engine.validateBatchExecution(orders, 100.3, 50);
+    assert.equal(batch.orders.length, 2);
+    assert.equal(batch.totalAmount, 50.3);
+  });
+
+  test('partial batch keeps the lowest targets that fit and skips the rest', () => {
+    const orders = [
+      order({ targetPrice: 4, amount: 40 }),
+      order({ targetPrice: 4.5, amount: 50 }),
+      order({ targetPrice: 4.8, amount: 30 })
+    ];
+    const batch = engine.validateBatchExecution(orders, 100, 25);
+    assert.deepEqual(batch.orders.map(o => o.targetPrice), [4, 4.8]);
+    assert.equal(batch.totalAmount, 70);
+  });
+
+  test('zero remaining budget selects nothing', () => {
+    const orders = [order({ targetPrice: 4, amount: 25 })];
+    assert.deepEqual(engine.validateBatchExecution(orders, 100, 100), { orders: [], totalAmount: 0 });
+    assert.deepEqual(engine.validateBatchExecution(orders, 100, 110), { orders: [], totalAmount: 0 });
+  });
+
+  test('empty batch is valid and costs nothing', () => {
+    assert.deepEqual(engine.validateBatchExecution([], 100, 0), { orders: [], totalAmount: 0 });
+  });
+});
+
+describe('spend caps', () => {
+  const HOUR = 60 * 60 * 1000;
+  // Local time, so the calendar month window is the one the user sees
+  const now = new Date(2026, 2, 20, 12, 0).getTime();
+  const fill = (amount, filledAt) => order({ amount, status: 'executed', filledAt });
+
+  test('daily and weekly caps are rolling windows', () => {
+    const history = [fill(100, now - 2 * HOUR), fill(200, now - 30 * HOUR), fill(400, now - 8 * 24 * HOUR)];
+    const [daily, weekly] = engine.getSpendCapStatus(history, { daily: 250, weekly: 500 }, now);
+    assert.deepEqual([daily.spent, daily.remaining, daily.resumesAt], [100, 150, now + 22 * HOUR]);
+    assert.deepEqual([weekly.spent, weekly.remaining], [300, 200]);
+  });
+
+  test('the monthly cap resets at the start of the next calendar month', () => {
+    const history = [fill(300, new Date(2026, 2, 1, 9, 0).getTime()), fill(300, new Date(2026, 1, 28, 9, 0).getTime())];
+    const [monthly] = engine.getSpendCapStatus(history, { monthly: 500 }, now);
+    assert.equal(monthly.spent, 300);
+    assert.equal(monthly.resumesAt, new Date(2026, 3, 1).getTime());
+  });
+
+  test('simulated fills and disabled caps are ignored', () => {
+    const history = [order({ amount: 100, status: 'simulated', filledAt: now - HOUR })];
+    const statuses = engine.getSpendCapStatus(history, { daily: 50, weekly: 0 }, now);
+    assert.deepEqual(statuses.map(s => [s.period, s.spent]), [['daily', 0]]);
+  });
+
+  test('validateBatchExecution applies the tightest cap and reports it', () => {
+    const history = [fill(400, now - HOUR)];
+    const orders = [order({ targetPrice: 4, amount: 60 }), order({ targetPrice: 4.5, amount: 50 })];
+    const batch = engine.validateBatchExecution(orders, 10000, 400, { caps: { daily: 500, monthly: 2000 }, history, now });
+    assert.deepEqual(batch.orders.map(o => o.amount), [60]);
+    assert.equal(batch.cap.period, 'daily');
+
+    const blocked = engine.validateBatchExecution(orders, 10000, 400, { caps: { daily: 400 }, history, now });
+    assert.equal(blocked.orders.length, 0);
+    assert.equal(blocked.cap.resumesAt, now + 23 * HOUR);
+  });
+
+  test('the lifetime budget still wins when it is tighter than the caps', () => {
+    const orders = [order({ targetPrice: 4, amount: 60 })];
+    const batch = engine.validateBatchExecution(orders, 450, 400, { caps: { monthly: 2000 }, history: [fill(400, now - HOUR)], now });
+    assert.deepEqual(batch, { orders: [], totalAmount: 0 });
+  });
+});
+
+describe('findExecutableOrders', () => {
+  test('returns triggered pending orders lowest target first', () => {
+    const orders = [
+      order({ targetPrice: 5, amount: 25 }),
+      order({ targetPrice: 4, amount: 25 }),
+      order({ targetPrice: 3, amount: 25 }),
+      order({ targetPrice: 4.5, amount: 25, status: 'paused' }),
+      order({ targetPrice: 4.5, amount: 25, status: 'executed' })
+    ];
+    const found = engine.findExecutableOrders(orders, 3.9);
+    assert.deepEqual(found.map(o => o.targetPrice), [4, 5]);
+  });
+
+  test('equal targets all trigger and keep their creation order', () => {
+    const first = order({ targetPrice: 4, amount: 30 });
+    const second = order({ targetPrice: 4, amount: 40 });
+    const found = engine.findExecutableOrders([first, second], 4);
+    assert.deepEqual(found, [first, second]);
+
+    // With budget for one, the earlier order wins
+    const batch = engine.validateBatchExecution(found, 100, 60);
+    assert.deepEqual(batch.orders, [first]);
+  });
+
+  test('skips orders before their activation time', () => {
+    const now = 1_700_000_000_000;
+    const orders = [
+      order({ targetPrice: 4, amount: 25, activeFrom: now + 60000 }),
+      order({ targetPrice: 4, amount: 25, activeFrom: now - 60000 })
+    ];
+    assert.equal(engine.findExecutableOrders(orders, 3.9, now).length, 1);
+  });
+});
+
+describe('trailing orders', () => {
+  test('arm at the activation price, track the low and fire on the rebound', () => {
+    const trailing = order({
+      type: 'trailing', targetPrice: 5, amount: 25,
+      trailValue: 10, trailUnit: 'percent', armed: false, lowestPrice: null, armedAt: null
+    });
+    const orders = [trailing];
+
+    assert.deepEqual(engine.updateTrailingOrders(orders, 5.5, 1), []);
+    assert.deepEqual(engine.updateTrailingOrders(orders, 5, 2).map(c => c.event), ['armed']);
+    assert.deepEqual(engine.updateTrailingOrders(orders, 4, 3).map(c => c.event), ['low']);
+    assert.equal(trailing.armedAt, 2);
+    assert.equal(engine.getTrailTriggerPrice(trailing), 4.4);
+
+    assert.equal(engine.isOrderTriggered(trailing, 4.3), false);
+    assert.equal(engine.isOrderTriggered(trailing, 4.4), true);
+  });
+
+  test('usd trail adds a fixed rebound', () => {
+    const trailing = order({ type: 'trailing', trailValue: 0.25, trailUnit: 'usd', lowestPrice: 4 });
+    assert.equal(engine.getTrailTriggerPrice(trailing), 4.25);
+  });
+});
+
+describe('price guard', () => {
+  const now = 1_700_000_000_000;
+  const MINUTE = 60000;
+  function readings(...prices) {
+    // Oldest first, one per refresh, the last one 5 minutes ago
+    return prices.map((price, i) => ({ price, timestamp: now - (prices.length - i) * 5 * MINUTE }));
+  }
+
+  test('min and max bounds reject readings outside the range', () => {
+    const guard = { minPrice: 2, maxPrice: 20 };
+    assert.equal(engine.checkPriceSanity(1.5, [], guard, now).ok, false);
+    assert.equal(engine.checkPriceSanity(25, [], guard, now).ok, false);
+    assert.equal(engine.checkPriceSanity(5, [], guard, now).ok, true);
+  });
+
+  test('rejects a jump from the previous reading', () => {
+    const history = readings(5, 5.1);
+    const result = engine.checkPriceSanity(4.2, history, { maxJumpPct: 15 }, now);
+    assert.equal(result.ok, false);
+    assert.match(result.reasons[0], /previous reading/);
+    assert.equal(engine.checkPriceSanity(4.5, history, { maxJumpPct: 15 }, now).ok, true);
+  });
+
+  test('median ignores single outliers in the history', () => {
+    const history = readings(5, 5.1, 0.51, 5, 4.9);
+    const guard = { maxDeviationPct: 25, maxJumpPct: 0 };
+    assert.equal(engine.checkPriceSanity(4.8, history, guard, now).ok, true);
+
+    const result = engine.checkPriceSanity(0.5, history, guard, now);
+    assert.equal(result.ok, false);
+    assert.match(result.reasons[0], /recent median \(\$5\.00\)/);
+  });
+
+  test('readings from the same page load and stale readings are not compared', () => {
+    const history = [
+      { price: 9, timestamp: now - 25 * 60 * MINUTE },
+      { price: 4, timestamp: now - 5000 }
+    ];
+    assert.equal(engine.checkPriceSanity(5, history, {}, now).ok, true);
+  });
+
+  test('a rejected outlier does not become the reference for the next reading', () => {
+    const history = [...readings(5, 5.1, 5, 4.9, 0.5), { price: 5, timestamp: now }];
+    history[4].rejected = true;
+    assert.equal(engine.checkPriceSanity(5, history, {}, now).ok, true);
+
+    const orders = [order({ targetPrice: 4.5, amount: 600 })];
+    const withOutlier = readings(4.2, 4.3, 0.5);
+    withOutlier[2].rejected = true;
+    assert.equal(engine.countConfirmingReadings(orders, withOutlier, now), 3);
+  });
+
+  test('a rejected reading is restored when a later page load confirms the move', () => {
+    const isolated = readings(5, 0.5);
+    isolated[1].rejected = true;
+    assert.equal(engine.confirmRejectedReading(isolated, 5, {}, now), false);
+    assert.equal(isolated[1].rejected, true);
+
+    const sameLoad = [{ price: 4, timestamp: now - 5000, rejected: true }];
+    assert.equal(engine.confirmRejectedReading(sameLoad, 4, {}, now), false);
+
+    const drop = readings(5, 4);
+    drop[1].rejected = true;
+    assert.equal(engine.confirmRejectedReading(drop, 3.9, { maxJumpPct: 0 }, now), true);
+    assert.equal('rejected' in drop[1], false);
+    assert.equal(engine.checkPriceSanity(3.9, drop, { maxDeviationPct: 0 }, now).ok, true);
+  });
+
+  test('disabled checks always pass', () => {
+    const guard = { maxDeviationPct: 0, maxJumpPct: 0, minPrice: 0, maxPrice: 0 };
+    assert.equal(engine.checkPriceSanity(0.5, readings(5, 5, 5, 5), guard, now).ok, true);
+  });
+
+  test('counts consecutive readings at which the whole batch triggers', () => {
+    const orders = [order({ targetPrice: 4.5, amount: 300 }), order({ targetPrice: 4, amount: 300 })];
+    assert.equal(engine.countConfirmingReadings(orders, readings(3.9, 4.6, 4.2, 3.95, 3.8), now), 3);
+    assert.equal(engine.countConfirmingReadings(orders, readings(4.2), now), 1);
+    assert.equal(engine.countConfirmingReadings(orders, [], now), 1);
+  });
+
+  test('only large batches need more than one reading', () => {
+    const guard = { largeOrderAmount: 500, confirmations: 3 };
+    assert.equal(engine.getRequiredConfirmations(499.99, guard), 1);
+    assert.equal(engine.getRequiredConfirmations(500, guard), 3);
+    assert.equal(engine.getRequiredConfirmations(5000, { largeOrderAmount: 0, confirmations: 3 }), 1);
+  });
+});
+
+describe('price basis', () => {
+  test('effective price reuses the markup of the last quote', () => {
+    assert.equal(engine.getEffectivePrice(5, null), null);
+    // $100 bought 20 XCH at a $4.90 headline: $5.00 effective, 2.04% over headline
+    assert.equal(engine.getEffectivePrice(4.41, { headlinePrice: 4.9, effectivePrice: 5 }).toFixed(4), '4.5000');
+  });
+
+  test('orders trigger on their own basis', () => {
+    const headline = order({ targetPrice: 4.5, amount: 25 });
+    const effective = order({ targetPrice: 4.5, amount: 25, priceBasis: 'effective' });
+    const found = engine.findExecutableOrders([headline, effective], 4.45, undefined, 4.6);
+    assert.deepEqual(found, [headline]);
+    assert.equal(engine.isOrderTriggered(effective, 4.45, 4.5), true);
+  });
+
+  test('effective orders wait for a fee quote', () => {
+    const headline = order({ targetPrice: 4.5, amount: 25 });
+    const effective = order({ targetPrice: 4.5, amount: 25, priceBasis: 'effective' });
+    const trailing = order({ type: 'trailing', targetPrice: 5, amount: 25, priceBasis: 'effective', trailValue: 10, trailUnit: 'percent', armed: false, lowestPrice: null });
+    const effectivePrice = engine.getEffectivePrice(4, null);
+
+    assert.deepEqual(engine.findExecutableOrders([headline, effective], 4, undefined, effectivePrice), [headline]);
+    assert.equal(engine.isOrderTriggered(effective, 4, effectivePrice), false);
+    assert.deepEqual(engine.updateTrailingOrders([trailing], 4, 1, effectivePrice), []);
+    assert.equal(engine.getNearestTarget([effective, trailing], 4, effectivePrice), null);
+  });
+
+  test('effective trailing orders track the effective low', () => {
+    const trailing = order({ type: 'trailing', targetPrice: 5, amount: 25, priceBasis: 'effective', trailValue: 10, trailUnit: 'percent', armed: false, lowestPrice: null });
+    assert.deepEqual(engine.updateTrailingOrders([trailing], 4.95, 1, 5.05), []);
+    engine.updateTrailingOrders([trailing], 4.9, 2, 5);
+    assert.equal(trailing.lowestPrice, 5);
+  });
+});
+
+describe('confirmation quote', () => {
+  const quote = (usdAmount, xchAmount, quotedPrice = null) => ({ usdAmount, xchAmount, quotedPrice, fees: null });
+  const headline = (price) => ({ headline: price, effective: null });
+
+  test('accepts a quote within slippage of the highest target', () => {
+    const result = engine.checkQuote(quote(100, 20.7), { amount: 100, ceilings: headline(4.8), slippagePct: 1 });
+    assert.equal(result.ok, true);
+    assert.equal(result.impliedPrice.toFixed(4), '4.8309');
+  });
+
+  test('rejects an amount that differs from the batch total', () => {
+    const result = engine.checkQuote(quote(105, 21), { amount: 100, ceilings: headline(5), slippagePct: 1 });
+    assert.equal(result.problem, 'amount');
+  });
+
+  test('rejects a price above the slippage limit', () => {
+    const result = engine.checkQuote(quote(100, 20), { amount: 100, ceilings: headline(4.8), slippagePct: 2 });
+    assert.equal(result.problem, 'price');
+    assert.match(result.reason, /\$5\.00 is above \$4\.90/);
+  });
+
+  test('headline targets use the quoted rate, effective targets the price after fees', () => {
+    // $100 buys 20 XCH at a $4.90 rate: $5.00 per XCH after fees
+    const feeQuote = quote(100, 20, 4.9);
+    assert.equal(engine.checkQuote(feeQuote, { amount: 100, ceilings: headline(4.9), slippagePct: 0 }).ok, true);
+    assert.equal(engine.checkQuote(feeQuote, { amount: 100, ceilings: { headline: null, effective: 4.9 }, slippagePct: 0 }).problem, 'price');
+    assert.equal(engine.checkQuote(feeQuote, { amount: 100, ceilings: { headline: null, effective: 5 }, slippagePct: 0 }).ok, true);
+  });
+
+  test('display rounding of the XCH quantity does not fail an exact fill', () => {
+    // 100 / 4.79 = 20.876826..., shown as 20.8768
+    assert.equal(engine.checkQuote(quote(100, 20.8768), { amount: 100, ceilings: headline(4.79), slippagePct: 0 }).ok, true);
+  });
+
+  test('an unreadable quote is rejected', () => {
+    assert.equal(engine.checkQuote(quote(null, 20), { amount: 100, ceilings: headline(5) }).problem, 'unreadable');
+    assert.equal(engine.checkQuote(quote(100, 0), { amount: 100, ceilings: headline(5) }).problem, 'unreadable');
+  });
+
+  test('batch ceilings are the highest target per basis, or the fire price for trailing orders', () => {
+    const limits = [order({ targetPrice: 4 }), order({ targetPrice: 4.5 }), order({ targetPrice: 4.2, priceBasis: 'effective' })];
+    assert.deepEqual(engine.getBatchPriceCeilings(limits, 3.9, 4), { headline: 4.5, effective: 4.2 });
+
+    const trailing = order({ type: 'trailing', targetPrice: 5, trailValue: 10, trailUnit: 'percent', armed: true, lowestPrice: 4.9 });
+    assert.deepEqual(engine.getBatchPriceCeilings([trailing], 5.4), { headline: 5.4, effective: null });
+  });
+
+  test('DCA runs buy at market with no price ceiling, so fees never abort them', () => {
+    const run = order({ type: 'market', scheduleId: 'dca-1', targetPrice: 5, amount: 100 });
+    const ceilings = engine.getBatchPriceCeilings([run], 5);
+    assert.deepEqual(ceilings, { headline: null, effective: null });
+    // No Price row: the implied price includes a 3% fee, well over 2% slippage
+    assert.equal(engine.checkQuote(quote(100, 100 / 5.15), { amount: 100, ceilings, slippagePct: 2 }).ok, true);
+    assert.equal(engine.checkQuote(quote(90, 18), { amount: 100, ceilings, slippagePct: 2 }).problem, 'amount');
+  });
+
+  test('recorded quotes set the effective price used for holdings', () => {
+    const o = order({ amount: 100, targetPrice: 5, priceBasis: 'effective' });
+    engine.markOrderFilled(o, 'executed', 4.8, 10);
+    engine.recordOrderQuote(o, { ...quote(100, 20.5), impliedPrice: 100 / 20.5 });
+    const stats = engine.calculatePortfolioStats([o], 5);
+    assert.equal(stats.xchAcquired, 20.5);
+
+    engine.requeueOrder(o);
+    assert.equal('effectivePrice' in o, false);
+  });
+});
+
+describe('status transitions', () => {
+  test('expireOrders only expires pending and paused orders past expiresAt', () => {
+    const orders = [
+      order({ amount: 25, expiresAt: 100 }),
+      order({ amount: 25, expiresAt: 100, status: 'paused' }),
+      order({ amount: 25, expiresAt: 100, status: 'executed' }),
+      order({ amount: 25, expiresAt: 300 })
+    ];
+    const expired = engine.expireOrders(orders, 200);
+    assert.deepEqual(expired, orders.slice(0, 2));
+    assert.deepEqual(orders.map(o => o.status), ['expired', 'expired', 'executed', 'pending']);
+    assert.equal(orders[0].expiredAt, 200);
+  });
+
+  test('toggleOrderPaused flips pending and paused only', () => {
+    const o = order({ amount: 25 });
+    assert.equal(engine.toggleOrderPaused(o, 10), 'paused');
+    assert.equal(o.pausedAt, 10);
+    assert.equal(engine.toggleOrderPaused(o), 'pending');
+    assert.equal('pausedAt' in o, false);
+
+    assert.equal(engine.toggleOrderPaused(order({ status: 'executed' })), null);
+  });
+
+  test('requeueOrder clears the fill and restarts trailing state', () => {
+    const o = order({ type: 'trailing', amount: 25, armed: true, lowestPrice: 4, armedAt: 5 });
+    engine.markOrderFilled(o, 'simulated', 4.4, 10);
+    assert.deepEqual([o.status, o.executedPrice, o.filledAt], ['simulated', 4.4, 10]);
+
+    engine.requeueOrder(o);
+    assert.equal(o.status, 'pending');
+    assert.equal('executedPrice' in o, false);
+    assert.deepEqual([o.armed, o.lowestPrice, o.armedAt], [false, null, null]);
+  });
+});
+
+describe('retries', () => {
+  const policy = { maxAttempts: 3, backoffMinutes: 10, maxBackoffMinutes: 30 };
+
+  test('backoff doubles per failure up to the cap', () => {
+    assert.deepEqual([1, 2, 3, 4].map(n => engine.getRetryDelayMs(n, policy) / 60000), [10, 20, 30, 30]);
+    assert.equal(engine.getRetryDelayMs(4, { ...policy, maxBackoffMinutes: 0 }) / 60000, 80);
+  });
+
+  test('orders back off between attempts and fail once attempts run out', () => {
+    const o = order({ amount: 25, targetPrice: 5 });
+    assert.equal(engine.recordFailedAttempt(o, 'Timeout', policy, 0), 'pending');
+    assert.equal(o.nextAttemptAt, 10 * 60000);
+    assert.deepEqual(engine.findExecutableOrders([o], 4, 60000), []);
+    assert.deepEqual(engine.findExecutableOrders([o], 4, 10 * 60000), [o]);
+
+    engine.recordFailedAttempt(o, 'Timeout', policy, 10 * 60000);
+    assert.equal(engine.recordFailedAttempt(o, 'Step 2: Timeout', policy, 40 * 60000), 'failed');
+    assert.deepEqual([o.attempts, o.lastError, o.failedAt], [3, 'Step 2: Timeout', 40 * 60000]);
+    assert.equal('nextAttemptAt' in o, false);
+
+    engine.requeueOrder(o);
+    assert.equal(o.status, 'pending');
+    assert.equal('attempts' in o, false);
+    assert.equal(engine.isOrderRetryDue(o, 0), true);
+  });
+
+  test('maxAttempts 0 retries forever and a fill clears the retry state', () => {
+    const o = order({ amount: 25, targetPrice: 5 });
+    for (let i = 0; i < 5; i++) engine.recordFailedAttempt(o, 'Timeout', { ...policy, maxAttempts: 0 }, 0);
+    assert.equal(o.status, 'pending');
+    engine.markOrderFilled(o, 'executed', 4.5, 100);
+    assert.equal('lastError' in o, false);
+  });
+});
+
+describe('execution journal', () => {
+  const journal = (fields) => ({ orderIds: ['a'], amount: 50, executionPrice: 4, dryRun: false, knownVaultOrderIds: ['900'], finalClickAt: 100, ...fields });
+  const card = (orderId, status = 'in_progress') => ({ orderId, status, detailsUrl: null });
+
+  test('a buy interrupted before the final click bought nothing', () => {
+    assert.equal(engine.resolveExecutionJournal(journal({ finalClickAt: null }), [card('901')], []).outcome, 'not_confirmed');
+    assert.equal(engine.resolveExecutionJournal(journal({ dryRun: true }), [card('901')], []).outcome, 'not_confirmed');
+  });
+
+  test('a single new vault order card confirms the buy', () => {
+    const decision = engine.resolveExecutionJournal(journal(), [card('901'), card('900', 'completed')], []);
+    assert.equal(decision.outcome, 'placed');
+    assert.equal(decision.vaultOrder.orderId, '901');
+  });
+
+  test('anything less certain is held for review', () => {
+    const reason = (vaultOrders, orders = [], fields = {}) => {
+      const decision = engine.resolveExecutionJournal(journal(fields), vaultOrders, orders);
+      assert.equal(decision.outcome, 'review');
+      return decision.reason;
+    };
+    assert.match(reason([card('900')]), /no new vault order/);
+    assert.match(reason([card('901'), card('902')]), /2 new vault orders/);
+    assert.match(reason([card('901', 'unknown')]), /unrecognised status/);
+    // A card already linked to another fill isn't this buy
+    assert.match(reason([card('901')], [order({ status: 'executed', vaultOrderId: '901' })]), /no new vault order/);
+    assert.match(reason([card('901')], [], { knownVaultOrderIds: undefined }), /not recorded/);
+  });
+
+  test('review orders count as spent until settled', () => {
+    const o = order({ amount: 50, targetPrice: 4.5 });
+    engine.flagOrderForReview(o, 'no new vault order', 4.2, 100);
+    assert.equal(engine.calculateTotalSpent([o]), 50);
+    assert.equal(engine.getSpendCapStatus([o], { daily: 100 }, 200)[0].spent, 50);
+    assert.deepEqual(engine.findExecutableOrders([o], 4), []);
+
+    engine.confirmReviewedFill(o);
+    assert.deepEqual([o.status, o.executedPrice, o.filledAt], ['executed', 4.2, 100]);
+    assert.equal('reviewReason' in o, false);
+  });
+});
+
+describe('vault order reconciliation', () => {
+  const filled = (vaultOrderId, fields = {}) =>
+    order({ amount: 50, targetPrice: 4, status: 'executed', executedPrice: 4, filledAt: 1, vaultOrderId, ...fields });
+
+  test('records vault status and refunds failed or cancelled orders', () => {
+    const orders = [filled('1001'), filled('1002'), filled('1003'), filled('1004'), filled(undefined)];
+    const changes = engine.reconcileVaultOrders(orders, [
+      { orderId: '1001', status: 'completed' },
+      { orderId: '1002', status: 'failed' },
+      { orderId: '1003', status: 'cancelled' },
+      { orderId: '1004', status: 'unknown' }
+    ], { now: 50 });
+
+    assert.deepEqual(changes.map(c => [c.vaultOrderId, c.vaultStatus, c.status]),
+      [['1001', 'completed', 'executed'], ['1002', 'failed', 'refunded'], ['1003', 'cancelled', 'refunded']]);
+    assert.deepEqual([orders[1].refundedAt, orders[1].vaultStatusAt], [50, 50]);
+    assert.equal('vaultStatus' in orders[3], false);
+    assert.equal(engine.calculateTotalSpent(orders), 150);
+
+    // A second pass with the same cards changes nothing
+    assert.deepEqual(engine.reconcileVaultOrders(orders, [{ orderId: '1001', status: 'completed' }]), []);
+  });
+
+  test('requeue puts refunded orders back to pending, except DCA runs', () => {
+    const orders = [filled('1001'), filled('1002', { scheduleId: 'dca-1' })];
+    engine.reconcileVaultOrders(orders, [
+      { orderId: '1001', status: 'failed' },
+      { orderId: '1002', status: 'failed' }
+    ], { requeue: true, now: 50 });
+
+    assert.deepEqual(orders.map(o => o.status), ['pending', 'refunded']);
+    assert.equal('vaultOrderId' in orders[0], false);
+    assert.equal('executedPrice' in orders[0], false);
+  });
+});
+
+describe('isJournalActive', () => {
+  test('a journal is active until a lease lifetime has passed since its last step, click or heartbeat', () => {
+    const ttl = engine.EXECUTOR_LEASE_TTL_MS;
+    const journal = { startedAt: 1000, steps: [{ step: 1, at: 5000 }], finalClickAt: null };
+    assert.equal(engine.isJournalActive(journal, 5000 + ttl - 1), true);
+    assert.equal(engine.isJournalActive(journal, 5000 + ttl), false);
+    assert.equal(engine.isJournalActive({ ...journal, heartbeatAt: 9000 }, 5000 + ttl), true);
+    assert.equal(engine.isJournalActive(null), false);
+  });
+});
+
+describe('getRefreshStrategy', () => {
+  test('falls back to reopen for missing or unknown strategies', () => {
+    assert.equal(engine.getRefreshStrategy({ refreshStrategy: 'pinned' }), 'pinned');
+    assert.equal(engine.getRefreshStrategy({ refreshStrategy: 'teleport' }), 'reopen');
+    assert.equal(engine.getRefreshStrategy({}), 'reopen');
+    assert.equal(engine.getRefreshStrategy(undefined), 'reopen');
+  });
+});
+
+describe('planRefresh', () => {
+  const adaptive = { enabled: true, minMinutes: 1, maxMinutes: 15, bandPct: 2, maxPerHour: 20 };
+  const now = 10 * 60 * 60 * 1000;
+
+  test('uses the fixed interval unless adaptive polling is on', () => {
+    const plan = engine.planRefresh({ refreshInterval: 5, orders: [order({ targetPrice: 5 })], headlinePrice: 5.01, now });
+    assert.deepEqual(plan, { intervalMinutes: 5, reason: 'fixed' });
+  });
+
+  test('refreshes at the floor within the band and scales with distance beyond it', () => {
+    const orders = [order({ targetPrice: 4 }), order({ targetPrice: 5 })];
+    const near = engine.planRefresh({ refreshInterval: 5, adaptive, orders, headlinePrice: 5.05, now });
+    assert.equal(near.reason, 'near_target');
+    assert.equal(near.intervalMinutes, 1);
+    assert.equal(near.targetPrice, 5);
+
+    const mid = engine.planRefresh({ refreshInterval: 5, adaptive, orders, headlinePrice: 5.3, now });
+    assert.equal(mid.reason, 'distance');
+    assert.equal(mid.intervalMinutes, 3);
+
+    const far = engine.planRefresh({ refreshInterval: 5, adaptive, orders, headlinePrice: 8, now });
+    assert.equal(far.reason, 'ceiling');
+    assert.equal(far.intervalMinutes, 15);
+    assert.equal(engine.describeRefreshPlan(mid), '6.0% above $5.00 target');
+  });
+
+  test('armed trailing orders, effective targets and missing inputs', () => {
+    const armed = order({ type: 'trailing', targetPrice: 4, armed: true, lowestPrice: 3.9, trailUnit: 'percent', trailValue: 2 });
+    assert.equal(engine.planRefresh({ refreshInterval: 5, adaptive, orders: [armed], headlinePrice: 3.95, now }).reason, 'near_target');
+
+    const effective = order({ targetPrice: 5, priceBasis: 'effective' });
+    const plan = engine.planRefresh({ refreshInterval: 5, adaptive, orders: [effective], headlinePrice: 4.9, effectivePrice: 5.5, now });
+    assert.equal(plan.intervalMinutes, 5);
+
+    assert.equal(engine.planRefresh({ refreshInterval: 5, adaptive, orders: [effective], headlinePrice: null, now }).reason, 'no_price');
+    assert.equal(engine.planRefresh({ refreshInterval: 5, adaptive, orders: [], headlinePrice: 5, now }).reason, 'no_targets');
+  });
+
+  test('orders that cannot fire on the next refresh do not pull polling to the floor', () => {
+    const backingOff = order({ targetPrice: 5, attempts: 1, nextAttemptAt: now + 60 * 60000 });
+    const blocked = order({ targetPrice: 5.2 });
+    const far = order({ targetPrice: 3.5 });
+    const plan = engine.planRefresh({ refreshInterval: 5, adaptive, orders: [backingOff, blocked, far], headlinePrice: 5.05, now });
+    assert.equal(plan.reason, 'ceiling');
+    assert.equal(plan.targetPrice, 3.5);
+  });
+
+  test('pushes the refresh back once the hourly cap is reached', () => {
+    const capped = { ...adaptive, maxPerHour: 3 };
+    const orders = [order({ targetPrice: 5 })];
+    const recentLoads = [now - 50 * 60000, now - 20 * 60000, now - 1000, now - 120 * 60000];
+    const plan = engine.planRefresh({ refreshInterval: 5, adaptive: capped, orders, headlinePrice: 5.05, recentLoads, now });
+    assert.equal(plan.reason, 'hourly_cap');
+    assert.equal(plan.intervalMinutes, 10);
+
+    const loose = engine.planRefresh({ refreshInterval: 5, adaptive: { ...capped, maxPerHour: 4 }, orders, headlinePrice: 5.05, recentLoads, now });
+    assert.equal(loose.reason, 'near_target');
+  });
+});
+
+describe('calculatePortfolioStats', () => {
+  test('values holdings and savings from fills', () => {
+    const orders = [
+      order({ status: 'executed', targetPrice: 5, executedPrice: 4, amount: 40 }),
+      order({ status: 'executed', targetPrice: 4, amount: 40 })
+    ];
+    const stats = engine.calculatePortfolioStats(orders, 5);
+    assert.equal(stats.xchAcquired, 20);
+    assert.equal(stats.totalCost, 80);
+    assert.equal(stats.averagePrice, 4);
+    assert.equal(stats.currentValue, 100);
+    assert.equal(stats.unrealizedPnl, 20);
+    assert.equal(stats.unrealizedPnlPct, 25);
+    assert.equal(stats.savings, 10);
+  });
+
+  test('no fills and no price leaves derived figures empty', () => {
+    const stats = engine.calculatePortfolioStats([], null);
+    assert.equal(stats.averagePrice, null);
+    assert.equal(stats.currentValue, null);
+    assert.equal(stats.unrealizedPnl, null);
+  });
+});